@@ -0,0 +1,103 @@
+const core = require("@actions/core");
+const { safeArray, getImpactsForChangedColumn } = require("./utils");
+
+// GitHub accepts at most 50 annotations per create/update call and 65535 characters of summary
+const ANNOTATIONS_PER_REQUEST = 50;
+const MAX_SUMMARY_LENGTH = 65535;
+const TOP_ASSET_COUNT = 5;
+
+// Report consumers outrank pipelines, which outrank plain data assets
+const ASSET_GROUP_SEVERITY = { report: 3, pipeline: 2, data: 1 };
+const ANNOTATION_LEVELS = { 3: "failure", 2: "warning", 1: "notice", 0: "notice" };
+
+const getSeverity = (assetGroup) => ASSET_GROUP_SEVERITY[String(assetGroup || "").toLowerCase()] || 0;
+
+const describeChange = (entry) => {
+  switch (entry.kind) {
+    case "removed":
+      return "removed";
+    case "renamed":
+      return `renamed to ${entry.newName}`;
+    case "modified":
+      return `modified (${safeArray(entry.changes).map(change => change.attribute).join(", ") || "definition"})`;
+    default:
+      return "added";
+  }
+};
+
+// Unique downstream assets of one changed column, most severe and direct first
+const getImpactedAssets = (columnImpacts, entry) => {
+  const { direct, indirect } = getImpactsForChangedColumn(columnImpacts, entry);
+  const assets = new Map();
+  [...direct.map(item => ({ item, direct: true })), ...indirect.map(item => ({ item, direct: false }))]
+    .forEach(({ item, direct: isDirect }) => {
+      const name = item.table_name || item.asset_name;
+      if (!name) return;
+      const existing = assets.get(name);
+      const severity = getSeverity(item.asset_group);
+      if (!existing || severity > existing.severity || (isDirect && !existing.direct)) {
+        assets.set(name, { name, assetGroup: item.asset_group || "data", severity, direct: isDirect || existing?.direct || false });
+      }
+    });
+  return Array.from(assets.values())
+    .sort((a, b) => b.severity - a.severity || Number(b.direct) - Number(a.direct) || a.name.localeCompare(b.name));
+};
+
+// One annotation per changed column entry ({ kind, column, file, line, node?, model?, newName?, changes? })
+const buildColumnAnnotations = (entries, columnImpacts) => safeArray(entries).map(entry => {
+  const assets = getImpactedAssets(columnImpacts, entry);
+  const severity = assets.reduce((max, asset) => Math.max(max, asset.severity), 0);
+  const owner = entry.node || entry.model;
+  const columnName = owner ? `${owner}.${entry.column}` : entry.column;
+  const topAssets = assets.slice(0, TOP_ASSET_COUNT)
+    .map(asset => `${asset.name} (${asset.assetGroup}${asset.direct ? "" : ", indirect"})`);
+
+  let message = `${assets.length} downstream asset(s) impacted.`;
+  if (topAssets.length > 0) {
+    message += `\nTop impacted: ${topAssets.join(", ")}${assets.length > TOP_ASSET_COUNT ? ` and ${assets.length - TOP_ASSET_COUNT} more` : ""}`;
+  }
+
+  return {
+    path: entry.file,
+    start_line: entry.line || 1,
+    end_line: entry.line || 1,
+    annotation_level: ANNOTATION_LEVELS[severity],
+    title: `Column ${columnName} ${describeChange(entry)}`,
+    message
+  };
+});
+
+// Create the check run, then append the remaining annotations in batches
+const publishCheckRun = async (octokit, { owner, repo, headSha, name, title, summary, conclusion, annotations }) => {
+  const batches = [];
+  for (let i = 0; i < annotations.length; i += ANNOTATIONS_PER_REQUEST) {
+    batches.push(annotations.slice(i, i + ANNOTATIONS_PER_REQUEST));
+  }
+  const output = (batch) => ({
+    title,
+    summary: summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH - 20)}\n\n*(truncated)*` : summary,
+    annotations: batch || []
+  });
+
+  const { data: checkRun } = await octokit.rest.checks.create({
+    owner,
+    repo,
+    name,
+    head_sha: headSha,
+    status: "completed",
+    conclusion,
+    output: output(batches[0])
+  });
+
+  for (const batch of batches.slice(1)) {
+    await octokit.rest.checks.update({ owner, repo, check_run_id: checkRun.id, output: output(batch) });
+  }
+
+  core.info(`[publishCheckRun] Published check run ${checkRun.id} with ${annotations.length} annotations`);
+  return checkRun;
+};
+
+module.exports = {
+  buildColumnAnnotations,
+  publishCheckRun
+};
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const yaml = require("js-yaml");
+
+const USAGE = `Usage: dqlabs-impact [options]
+
+Run the DQLabs impact analysis on local commits and print the report.
+
+Options:
+  --base <ref>             Base revision to compare against (default: origin/main)
+  --head <ref>             Head revision (default: HEAD)
+  --format <format>        markdown or json (default: markdown)
+  --config <file>          YAML file of action inputs (default: .dqlabs-impact.yml when present)
+  --input <name=value>     Set any action input, e.g. --input lineage_source=local (repeatable)
+  --verbose                Print analysis logs to stderr
+  -h, --help               Show this help
+
+Credentials are read from DQLABS_API_CLIENT_ID, DQLABS_API_CLIENT_SECRET, DQLABS_BASE_URL
+and DQLABS_CREATELINK_URL, or from api_client_id, api_client_secret, dqlabs_base_url and
+dqlabs_createlink_url in the config file. Without credentials only local lineage is used.`;
+
+// Environment variables that supply action inputs; they win over the config file
+const ENV_INPUTS = {
+  DQLABS_API_CLIENT_ID: "api_client_id",
+  DQLABS_API_CLIENT_SECRET: "api_client_secret",
+  DQLABS_BASE_URL: "dqlabs_base_url",
+  DQLABS_CREATELINK_URL: "dqlabs_createlink_url"
+};
+
+const parseArgs = (argv) => {
+  const options = { base: "origin/main", head: "HEAD", format: "markdown", config: null, inputs: {}, verbose: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith("--") && arg.includes("=") ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg, undefined];
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+
+    switch (flag) {
+      case "--base": options.base = value(); break;
+      case "--head": options.head = value(); break;
+      case "--format": options.format = value().toLowerCase(); break;
+      case "--config": options.config = value(); break;
+      case "--input": {
+        const input = value();
+        if (!input.includes("=")) throw new Error(`--input expects name=value, got "${input}"`);
+        options.inputs[input.slice(0, input.indexOf("=")).trim().toLowerCase()] = input.slice(input.indexOf("=") + 1);
+        break;
+      }
+      case "--verbose": options.verbose = true; break;
+      case "-h":
+      case "--help": options.help = true; break;
+      default: throw new Error(`Unknown option "${arg}"`);
+    }
+  }
+  if (!["markdown", "json"].includes(options.format)) throw new Error(`Unsupported format "${options.format}"`);
+  return options;
+};
+
+const git = (args, cwd) => execFileSync("git", args, { cwd, encoding: "utf8", maxBuffer: 50 * 1024 * 1024 }).trim();
+
+const loadConfigFile = (configPath, required) => {
+  if (!fs.existsSync(configPath)) {
+    if (required) throw new Error(`Config file ${configPath} not found`);
+    return {};
+  }
+  const doc = yaml.load(fs.readFileSync(configPath, "utf8")) || {};
+  return Object.fromEntries(Object.entries(doc).map(([name, value]) => [name.toLowerCase(), Array.isArray(value) ? value.join(",") : String(value)]));
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const repoRoot = git(["rev-parse", "--show-toplevel"], process.cwd());
+  const headSha = git(["rev-parse", "--verify", `${options.head}^{commit}`], repoRoot);
+  const baseSha = git(["merge-base", git(["rev-parse", "--verify", `${options.base}^{commit}`], repoRoot), headSha], repoRoot);
+  // Renames are listed as a deletion plus an addition, like the workflow's changed and deleted file lists
+  const changedFiles = git(["diff", "--name-only", "--no-renames", baseSha, headSha], repoRoot).split("\n").filter(Boolean);
+
+  const inputs = {
+    ...loadConfigFile(path.resolve(repoRoot, options.config || ".dqlabs-impact.yml"), Boolean(options.config)),
+    ...Object.fromEntries(Object.entries(ENV_INPUTS).filter(([envName]) => process.env[envName]).map(([envName, input]) => [input, process.env[envName]])),
+    ...options.inputs,
+    changed_files_list: changedFiles.join(","),
+    // Nothing is posted from the CLI
+    check_run: "false"
+  };
+  if (!inputs.lineage_source && !(inputs.api_client_id && inputs.api_client_secret && inputs.dqlabs_base_url)) {
+    inputs.lineage_source = "local";
+    process.stderr.write("No DQLabs credentials configured; using local lineage only\n");
+  }
+
+  // Nodes, environments, jobs, owners and the task mapping are read from the workspace, so it has to
+  // be the head revision. Anything but a clean checkout of head is analyzed in a temporary worktree.
+  const isCleanHead = git(["rev-parse", "HEAD"], repoRoot) === headSha && git(["status", "--porcelain"], repoRoot) === "";
+  const workspace = isCleanHead ? repoRoot : fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-impact-"));
+  if (!isCleanHead) git(["worktree", "add", "--detach", "--quiet", workspace, headSha], repoRoot);
+
+  // The analysis reads revisions and the project through the same variables the action uses
+  process.env.GITHUB_WORKSPACE = workspace;
+  process.env.GITHUB_BASE_SHA = baseSha;
+  process.env.GITHUB_HEAD_SHA = headSha;
+
+  // Action logs go to stdout; keep stdout for the report
+  const writeStdout = process.stdout.write.bind(process.stdout);
+  process.stdout.write = options.verbose ? process.stderr.write.bind(process.stderr) : () => true;
+  let analysis;
+  try {
+    const { loadInputs, analyze } = require("./index");
+    loadInputs(name => inputs[name.toLowerCase()] || "");
+    analysis = await analyze();
+  } finally {
+    process.stdout.write = writeStdout;
+    if (!isCleanHead) git(["worktree", "remove", "--force", workspace], repoRoot);
+  }
+
+  const output = options.format === "json" ? JSON.stringify(analysis.comprehensiveReport, null, 2) : analysis.summary;
+  process.stdout.write(`${output}\n`);
+  if (analysis.policy.result === "fail") {
+    process.stderr.write(`Impact analysis policy failed:\n${analysis.policy.reasons.map(reason => `- ${reason}`).join("\n")}\n`);
+    return 1;
+  }
+  return 0;
+};
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    process.stderr.write(`dqlabs-impact: ${error.message}\n`);
+    process.exitCode = 2;
+  });
@@ -0,0 +1,149 @@
+const core = require("@actions/core");
+const yaml = require("js-yaml");
+const { safeArray } = require("./utils");
+
+// Column attributes compared between base and head versions of a node
+const COLUMN_ATTRIBUTES = ["dataType", "nullable", "defaultValue", "description", "transform"];
+
+// Coalesce stores every node as nodes/<LOCATION>-<NAME>.yml
+const isCoalesceNodeFile = (file) =>
+  typeof file === "string" && /^nodes\/[^/]+\.ya?ml$/.test(file);
+
+// Join the transforms of every source mapping so multi-source nodes compare as a whole
+const getColumnTransform = (column) =>
+  safeArray(column?.sourceColumnReferences)
+    .map(ref => (typeof ref?.transform === "string" ? ref.transform.trim() : ""))
+    .filter(Boolean)
+    .join("\n");
+
+const normalizeColumn = (column) => ({
+  name: column?.name || "",
+  dataType: column?.dataType || "",
+  nullable: column?.nullable !== false,
+  defaultValue: column?.defaultValue ?? "",
+  description: column?.description || "",
+  transform: getColumnTransform(column),
+  columnCounter: column?.columnReference?.columnCounter || null,
+  stepCounter: column?.columnReference?.stepCounter || null,
+  // Upstream columns this column is derived from
+  sourceColumns: safeArray(column?.sourceColumnReferences)
+    .flatMap(ref => safeArray(ref?.columnReferences))
+    .filter(ref => ref?.columnCounter)
+    .map(ref => ({ stepCounter: ref.stepCounter || null, columnCounter: ref.columnCounter })),
+  // Column tests switched on in appliedColumnTests, and the accepted values test when it has values
+  appliedTests: Object.entries(column?.appliedColumnTests || {}).filter(([, applied]) => applied === true).map(([id]) => id),
+  acceptedValues: safeArray(column?.acceptedValues?.values).map(String)
+});
+
+// Collect upstream node references and alias ids from every source mapping
+const getSourceMappingRefs = (operation) => {
+  const mappings = safeArray(operation?.metadata?.sourceMapping);
+  return {
+    dependencies: mappings
+      .flatMap(mapping => safeArray(mapping?.dependencies))
+      .filter(dep => dep?.nodeName)
+      .map(dep => ({ locationName: dep.locationName || "", nodeName: dep.nodeName })),
+    aliases: mappings.reduce((acc, mapping) => ({ ...acc, ...(mapping?.aliases || {}) }), {})
+  };
+};
+
+// Parse a Coalesce node YAML document; returns null for anything that is not a node
+const parseNodeYAML = (content, file = "") => {
+  if (!content) return null;
+
+  try {
+    const doc = yaml.load(content);
+    if (!doc || typeof doc !== "object" || doc.type !== "Node") return null;
+
+    const operation = doc.operation || {};
+    const { dependencies, aliases } = getSourceMappingRefs(operation);
+    return {
+      id: doc.id || null,
+      name: doc.name || operation.name || "",
+      file,
+      locationName: operation.locationName || "",
+      sqlType: operation.sqlType || "",
+      materializationType: operation.materializationType || "",
+      database: operation.database || "",
+      schema: operation.schema || "",
+      tags: safeArray(operation.tags || doc.tags).map(String),
+      testsEnabled: operation.config?.testsEnabled !== false,
+      nodeTests: safeArray(operation.metadata?.appliedNodeTests)
+        .filter(test => test?.name)
+        .map(test => ({ name: test.name, templateString: test.templateString || "", continueOnFailure: test.continueOnFailure === true })),
+      enabledColumnTestIDs: safeArray(operation.metadata?.enabledColumnTestIDs).map(String),
+      dependencies,
+      aliases,
+      columns: safeArray(operation.metadata?.columns).map(normalizeColumn).filter(col => col.name)
+    };
+  } catch (error) {
+    core.warning(`[parseNodeYAML] Could not parse ${file}: ${error.message}`);
+    return null;
+  }
+};
+
+const getAttributeChanges = (baseCol, headCol) => COLUMN_ATTRIBUTES
+  .filter(attribute => baseCol[attribute] !== headCol[attribute])
+  .map(attribute => ({ attribute, before: baseCol[attribute], after: headCol[attribute] }));
+
+// Pair base and head columns: the stable columnCounter wins, the name is the fallback
+const pairColumns = (baseColumns, headColumns) => {
+  const pairs = [];
+  const unmatchedBase = new Set(baseColumns);
+  const unmatchedHead = new Set(headColumns);
+
+  const baseByCounter = new Map(baseColumns.filter(col => col.columnCounter).map(col => [col.columnCounter, col]));
+  headColumns.forEach(headCol => {
+    const baseCol = headCol.columnCounter && baseByCounter.get(headCol.columnCounter);
+    if (baseCol && unmatchedBase.has(baseCol)) {
+      pairs.push([baseCol, headCol]);
+      unmatchedBase.delete(baseCol);
+      unmatchedHead.delete(headCol);
+    }
+  });
+
+  const baseByName = new Map(Array.from(unmatchedBase).map(col => [col.name, col]));
+  Array.from(unmatchedHead).forEach(headCol => {
+    const baseCol = baseByName.get(headCol.name);
+    if (baseCol) {
+      pairs.push([baseCol, headCol]);
+      unmatchedBase.delete(baseCol);
+      unmatchedHead.delete(headCol);
+    }
+  });
+
+  return { pairs, added: Array.from(unmatchedHead), removed: Array.from(unmatchedBase) };
+};
+
+// Compare two parsed nodes and report added, removed, renamed and modified columns
+const diffNodeColumns = (baseNode, headNode) => {
+  const headColumns = safeArray(headNode?.columns);
+  const { pairs, added, removed } = pairColumns(safeArray(baseNode?.columns), headColumns);
+  const modified = [];
+  const renamed = [];
+
+  pairs.forEach(([baseCol, headCol]) => {
+    const changes = getAttributeChanges(baseCol, headCol);
+
+    if (baseCol.name !== headCol.name) {
+      renamed.push({ name: headCol.name, previousName: baseCol.name, before: baseCol, after: headCol, changes });
+    } else if (changes.length > 0) {
+      modified.push({ name: headCol.name, before: baseCol, after: headCol, changes });
+    }
+  });
+
+  // Keep head order for readability
+  const headOrder = (col) => headColumns.findIndex(headCol => headCol.name === col.name);
+  modified.sort((a, b) => headOrder(a) - headOrder(b));
+  renamed.sort((a, b) => headOrder(a) - headOrder(b));
+
+  return { added, removed, modified, renamed };
+};
+
+module.exports = {
+  COLUMN_ATTRIBUTES,
+  isCoalesceNodeFile,
+  parseNodeYAML,
+  pairColumns,
+  diffNodeColumns
+};
@@ -0,0 +1,224 @@
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { safeArray } = require("./utils");
+
+const getRepoRoot = () => process.env.GITHUB_WORKSPACE || process.cwd();
+
+// Parse every YAML document of a given Coalesce type in a project directory
+const loadProjectDocuments = (directory, type, rootDir = getRepoRoot()) => {
+  const fullPath = path.join(rootDir, directory);
+  if (!fs.existsSync(fullPath)) return [];
+
+  return fs.readdirSync(fullPath)
+    .filter(fileName => /\.ya?ml$/.test(fileName))
+    .map(fileName => {
+      const file = `${directory}/${fileName}`;
+      try {
+        const doc = yaml.load(fs.readFileSync(path.join(rootDir, file), "utf8"));
+        return doc && doc.type === type ? { ...doc, file } : null;
+      } catch (error) {
+        core.warning(`[loadProjectDocuments] Could not parse ${file}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+// Environments map each storage location to a database and schema
+const loadEnvironments = (rootDir = getRepoRoot()) =>
+  loadProjectDocuments("environments", "Environment", rootDir).map(doc => ({
+    id: String(doc.id ?? ""),
+    name: doc.name || "",
+    file: doc.file,
+    mappingDefinitions: doc.mappingDefinitions || {}
+  }));
+
+// locations.yml declares the storage locations and the default for nodes without one
+const loadLocations = (rootDir = getRepoRoot()) => {
+  const fullPath = path.join(rootDir, "locations.yml");
+  if (!fs.existsSync(fullPath)) return { defaultStorageMapping: "", locations: [] };
+
+  try {
+    const doc = yaml.load(fs.readFileSync(fullPath, "utf8")) || {};
+    return {
+      defaultStorageMapping: doc.defaultStorageMapping || "",
+      locations: safeArray(doc.locations).map(String)
+    };
+  } catch (error) {
+    core.warning(`[loadLocations] Could not parse locations.yml: ${error.message}`);
+    return { defaultStorageMapping: "", locations: [] };
+  }
+};
+
+// Database/schema a node deploys to in one environment; node-level overrides win
+const resolveStorageLocation = (node, environment, locations = null) => {
+  const locationName = node?.locationName || locations?.defaultStorageMapping || "";
+  const mapping = environment?.mappingDefinitions?.[locationName] || {};
+  return {
+    environment: environment?.name || null,
+    locationName,
+    database: node?.database || mapping.database || "",
+    schema: node?.schema || mapping.schema || ""
+  };
+};
+
+// DATABASE.SCHEMA.OBJECT per environment; environments that cannot resolve the location are skipped
+const getFullyQualifiedNames = (node, environments, locations = null) =>
+  safeArray(environments)
+    .map(environment => resolveStorageLocation(node, environment, locations))
+    .filter(location => location.database && location.schema)
+    .map(location => ({
+      environment: location.environment,
+      database: location.database,
+      schema: location.schema,
+      name: `${location.database}.${location.schema}.${node.name}`
+    }));
+
+// Narrow environments to a comma-separated list of names or ids (empty means all)
+const selectEnvironments = (environments, selection = "") => {
+  const wanted = String(selection || "")
+    .split(",")
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+  if (wanted.length === 0) return safeArray(environments);
+  return safeArray(environments).filter(env =>
+    wanted.includes(env.name.toLowerCase()) || wanted.includes(env.id.toLowerCase()));
+};
+
+// Node type files live in nodeTypes/<Name>-<id>/ (create.sql.j2, run.sql.j2, definition.yml)
+const isNodeTypeFile = (file) =>
+  typeof file === "string" && /^nodeTypes\/[^/]+\/(create\.sql\.j2|run\.sql\.j2|definition\.ya?ml)$/.test(file);
+
+const getNodeTypeDirectory = (file) => {
+  const match = String(file || "").match(/^(nodeTypes\/[^/]+)\//);
+  return match ? match[1] : null;
+};
+
+// The definition holds the id nodes reference through sqlType; the directory suffix is the fallback
+const parseNodeTypeId = (definitionContent, directory) => {
+  if (definitionContent) {
+    try {
+      const doc = yaml.load(definitionContent);
+      if (doc?.id !== undefined && doc?.id !== null) return String(doc.id);
+    } catch (error) {
+      core.warning(`[parseNodeTypeId] Could not parse definition in ${directory}: ${error.message}`);
+    }
+  }
+  const dirName = path.basename(directory || "");
+  return dirName.includes("-") ? dirName.slice(dirName.lastIndexOf("-") + 1) : dirName;
+};
+
+// Package node types are referenced as "<packageID>:::<nodeTypeID>"
+const nodeUsesNodeType = (node, nodeTypeId) => {
+  const sqlType = String(node?.sqlType || "");
+  return sqlType === String(nodeTypeId) || sqlType.endsWith(`:::${nodeTypeId}`);
+};
+
+// Packages live in packages/<name>.yml and enable node types under config.entities.nodeTypes
+const isPackageFile = (file) =>
+  typeof file === "string" && /(^|\/)packages\/[^/]+\.ya?ml$/.test(file);
+
+const parsePackageYAML = (content, file = "") => {
+  if (!content) return null;
+  try {
+    const doc = yaml.load(content);
+    if (!doc || typeof doc !== "object" || doc.type !== "Package") return null;
+    const nodeTypes = doc.config?.entities?.nodeTypes || {};
+    const packageVariables = doc.config?.packageVariables;
+    return {
+      id: String(doc.packageID || doc.id || ""),
+      name: doc.name || "",
+      file,
+      releaseID: doc.releaseID || "",
+      nodeTypes: Object.fromEntries(Object.entries(nodeTypes).map(([id, settings]) => [String(id), {
+        isDisabled: settings?.isDisabled === true,
+        defaultStorageLocation: settings?.defaultStorageLocation || null
+      }])),
+      packageVariables: typeof packageVariables === "string" ? packageVariables : packageVariables ? yaml.dump(packageVariables).trim() : ""
+    };
+  } catch (error) {
+    core.warning(`[parsePackageYAML] Could not parse ${file}: ${error.message}`);
+    return null;
+  }
+};
+
+// Node types whose generated SQL changes with this package diff: all of them when the release
+// changes, otherwise the ones added, removed, toggled or moved to another default storage location
+const diffPackages = (basePackage, headPackage) => {
+  const pkg = headPackage || basePackage;
+  const baseTypes = basePackage?.nodeTypes || {};
+  const headTypes = headPackage?.nodeTypes || {};
+  const ids = Array.from(new Set([...Object.keys(baseTypes), ...Object.keys(headTypes)])).sort();
+  const releaseChanged = (basePackage?.releaseID || "") !== (headPackage?.releaseID || "");
+
+  const nodeTypeChanges = ids.map(id => {
+    const before = baseTypes[id];
+    const after = headTypes[id];
+    if (!before) return { id, change: "added" };
+    if (!after) return { id, change: "removed" };
+    if (before.isDisabled !== after.isDisabled) return { id, change: after.isDisabled ? "disabled" : "enabled" };
+    if (before.defaultStorageLocation !== after.defaultStorageLocation) {
+      return { id, change: "storage location", before: before.defaultStorageLocation, after: after.defaultStorageLocation };
+    }
+    return null;
+  }).filter(Boolean);
+
+  return {
+    id: pkg.id,
+    name: pkg.name,
+    file: pkg.file,
+    release: releaseChanged ? { before: basePackage?.releaseID || null, after: headPackage?.releaseID || null } : null,
+    nodeTypeChanges,
+    affectedNodeTypeIds: releaseChanged ? ids : nodeTypeChanges.map(change => change.id),
+    packageVariables: (basePackage?.packageVariables || "") !== (headPackage?.packageVariables || "")
+      ? { before: basePackage?.packageVariables || "", after: headPackage?.packageVariables || "" }
+      : null
+  };
+};
+
+// Unified diff lines ("-", "+" and " " prefixed) of two packageVariables strings
+const diffPackageVariables = (before, after) => {
+  const baseLines = before ? String(before).split(/\r?\n/) : [];
+  const headLines = after ? String(after).split(/\r?\n/) : [];
+  // Longest common subsequence table; packageVariables are short enough for the quadratic table
+  const lcs = Array.from({ length: baseLines.length + 1 }, () => new Array(headLines.length + 1).fill(0));
+  for (let i = baseLines.length - 1; i >= 0; i--) {
+    for (let j = headLines.length - 1; j >= 0; j--) {
+      lcs[i][j] = baseLines[i] === headLines[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < baseLines.length || j < headLines.length) {
+    if (i < baseLines.length && j < headLines.length && baseLines[i] === headLines[j]) {
+      lines.push(` ${baseLines[i++]}`);
+      j++;
+    } else if (i < baseLines.length && (j === headLines.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`-${baseLines[i++]}`);
+    } else {
+      lines.push(`+${headLines[j++]}`);
+    }
+  }
+  return lines;
+};
+
+module.exports = {
+  isNodeTypeFile,
+  getNodeTypeDirectory,
+  parseNodeTypeId,
+  nodeUsesNodeType,
+  isPackageFile,
+  parsePackageYAML,
+  diffPackages,
+  diffPackageVariables,
+  loadProjectDocuments,
+  loadEnvironments,
+  loadLocations,
+  resolveStorageLocation,
+  getFullyQualifiedNames,
+  selectEnvironments
+};
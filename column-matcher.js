@@ -0,0 +1,109 @@
+const { safeArray } = require("./utils");
+
+// How a downstream field was tied to a changed column, strongest first
+const MATCH_TYPES = {
+  DQLABS_LINEAGE: "dqlabs_lineage",
+  COALESCE_LINEAGE: "coalesce_lineage",
+  NAME: "name"
+};
+
+const MATCH_LABELS = {
+  [MATCH_TYPES.DQLABS_LINEAGE]: "DQLabs column lineage",
+  [MATCH_TYPES.COALESCE_LINEAGE]: "Coalesce column lineage",
+  [MATCH_TYPES.NAME]: "name match"
+};
+
+// Impact-analysis field property that lists the ids of the fields a field is derived from
+const UPSTREAM_FIELD_KEY = "upstream_field_ids";
+
+// Case- and quote-insensitive column name: "Customer_ID", `customer_id` and [CUSTOMER_ID] are the same column
+const normalizeColumnName = (name) => String(name || "").trim().replace(/^[`"'[]+|[`"'\]]+$/g, "").toLowerCase();
+
+const columnKey = (tableName, columnName) => `${normalizeColumnName(tableName)}.${normalizeColumnName(columnName)}`;
+
+// Fields that report lineage at all; an empty list means "derived from nothing", not "unknown"
+const hasFieldLineage = (field) => Array.isArray(field?.[UPSTREAM_FIELD_KEY]);
+
+const getUpstreamFieldIds = (field) => safeArray(field?.[UPSTREAM_FIELD_KEY])
+  .filter(ref => ref !== undefined && ref !== null && ref !== "")
+  .map(String);
+
+// Tie the fields of DQLabs impact tables to the changed columns of sourceName.
+// 1. DQLabs lineage: the changed columns' field ids on the source table, followed through upstream field ids
+// 2. Coalesce lineage: table.column keys reached from the changed columns' columnCounter (localColumns)
+// 3. Name: only for fields without lineage information, and only when nameFallback is on
+const matchImpactedFields = (tables, changedColumns, { sourceName = "", localColumns = new Map(), nameFallback = false } = {}) => {
+  const changedByName = new Map(safeArray(changedColumns).map(column => [normalizeColumnName(column), column]));
+  const sourceTable = normalizeColumnName(sourceName);
+  const entries = safeArray(tables).flatMap(table => safeArray(table?.fields).map(field => ({ table, field })));
+
+  // Follow upstream ids until no further field is reached; each field keeps the changed column it was reached from
+  const changedById = new Map();
+  entries
+    .filter(({ table, field }) => sourceTable && normalizeColumnName(table.name) === sourceTable && field.id != null)
+    .forEach(({ field }) => {
+      const changedColumn = changedByName.get(normalizeColumnName(field.name));
+      if (changedColumn) changedById.set(String(field.id), changedColumn);
+    });
+  const seedIds = new Set(changedById.keys());
+
+  let reached = changedById.size > 0;
+  while (reached) {
+    reached = false;
+    entries.forEach(({ field }) => {
+      if (field.id == null || changedById.has(String(field.id))) return;
+      const upstreamId = getUpstreamFieldIds(field).find(id => changedById.has(id));
+      if (upstreamId) {
+        changedById.set(String(field.id), changedById.get(upstreamId));
+        reached = true;
+      }
+    });
+  }
+
+  const matches = [];
+  entries.forEach(({ table, field }) => {
+    const id = field.id != null ? String(field.id) : null;
+    if (id && seedIds.has(id)) return;
+
+    if (id && changedById.has(id)) {
+      matches.push({ table, field, changedColumn: changedById.get(id), matchType: MATCH_TYPES.DQLABS_LINEAGE });
+      return;
+    }
+
+    const localColumn = localColumns.get(columnKey(table.name, field.name));
+    if (localColumn) {
+      matches.push({ table, field, changedColumn: localColumn, matchType: MATCH_TYPES.COALESCE_LINEAGE });
+      return;
+    }
+
+    if (nameFallback && !hasFieldLineage(field)) {
+      const changedColumn = changedByName.get(normalizeColumnName(field.name));
+      if (changedColumn) matches.push({ table, field, changedColumn, matchType: MATCH_TYPES.NAME });
+    }
+  });
+
+  return matches;
+};
+
+// "2 by DQLabs column lineage, 1 by name match" for the column section header
+const summarizeMatchTypes = (columns) => {
+  const counts = new Map();
+  safeArray(columns).forEach(column => {
+    const type = column?.match_type || MATCH_TYPES.NAME;
+    counts.set(type, (counts.get(type) || 0) + 1);
+  });
+  return Object.values(MATCH_TYPES)
+    .filter(type => counts.has(type))
+    .map(type => `${counts.get(type)} by ${MATCH_LABELS[type]}`)
+    .join(", ");
+};
+
+module.exports = {
+  MATCH_TYPES,
+  MATCH_LABELS,
+  normalizeColumnName,
+  columnKey,
+  getUpstreamFieldIds,
+  matchImpactedFields,
+  summarizeMatchTypes
+};
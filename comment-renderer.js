@@ -0,0 +1,194 @@
+const core = require("@actions/core");
+
+// GitHub rejects comment bodies over 65,536 characters; keep room for the part header and links
+const MAX_COMMENT_LENGTH = 65536;
+const COMMENT_BUDGET = MAX_COMMENT_LENGTH - 2000;
+// Job summaries are capped at 1 MiB per step
+const MAX_JOB_SUMMARY_LENGTH = 1024 * 1024;
+const LIST_LIMITS = [100, 50, 20];
+
+// Each configuration (comment_key) owns its own set of comments, e.g. one per matrix job
+const normalizeCommentKey = (key) => String(key || "default").trim().replace(/[^A-Za-z0-9_.-]+/g, "-") || "default";
+
+const commentMarker = (commentKey, part) => `<!-- dqlabs-impact-analysis:key=${normalizeCommentKey(commentKey)}:part=${part} -->`;
+
+// Part number a comment was posted as for this key, or null for comments that are not ours.
+// Markers without a key predate comment_key and belong to the default key.
+const getCommentPart = (body, commentKey) => {
+  const match = String(body || "").match(/<!-- dqlabs-impact-analysis:(?:key=([A-Za-z0-9_.-]+):)?part=(\d+) -->/);
+  return match && (match[1] || "default") === normalizeCommentKey(commentKey) ? Number(match[2]) : null;
+};
+
+const buildJsonBlock = (jsonData) =>
+  "\n### 📎 Complete Impact Analysis Data\n" +
+  `<details>\n<summary><b>View Complete JSON Data</b></summary>\n\n` +
+  "```json\n" + jsonData + "\n```\n\n" +
+  "*This JSON contains all impact analysis data regardless of display preferences.*\n" +
+  `</details>\n\n`;
+
+const buildJsonNote = (detailsUrl) =>
+  "\n### 📎 Complete Impact Analysis Data\n" +
+  `The complete JSON is too large for a comment. It is in the [job summary and workflow artifacts](${detailsUrl}) of this run.\n\n`;
+
+// Keep the first maxItems bullets of every collapsible list; the headings keep the full counts
+const truncateLists = (markdown, maxItems) => {
+  const lines = markdown.split("\n");
+  const result = [];
+  let inDetails = false;
+  let shown = 0;
+  let hidden = 0;
+
+  lines.forEach(line => {
+    if (line.startsWith("<details>")) {
+      inDetails = true;
+      shown = 0;
+      hidden = 0;
+    } else if (line.startsWith("</details>") && inDetails) {
+      if (hidden > 0) result.push(`- *…and ${hidden} more (see the complete report in the job summary)*`);
+      inDetails = false;
+    } else if (inDetails && /^- /.test(line)) {
+      if (shown >= maxItems) {
+        hidden++;
+        return;
+      }
+      shown++;
+    }
+    result.push(line);
+  });
+
+  return result.join("\n");
+};
+
+// Split on section headings so each part stays readable; oversized sections are cut by line
+const splitReport = (markdown, budget) => {
+  const sections = markdown.split(/\n(?=### )/);
+  const parts = [];
+  let current = "";
+
+  const pushChunk = (chunk) => {
+    if (current && current.length + chunk.length + 1 > budget) {
+      parts.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n${chunk}` : chunk;
+  };
+
+  sections.forEach(section => {
+    if (section.length <= budget) {
+      pushChunk(section);
+      return;
+    }
+    section.split("\n").forEach(line => pushChunk(line.length > budget ? `${line.slice(0, budget - 20)} *(truncated)*` : line));
+  });
+  if (current) parts.push(current);
+
+  return parts;
+};
+
+// Render the report as one or more comment bodies that each fit GitHub's limit:
+// inline JSON first, then the JSON moved out, then shorter lists, then several comments
+const renderCommentParts = (summary, jsonData, { detailsUrl, budget = COMMENT_BUDGET } = {}) => {
+  const withJson = summary + buildJsonBlock(jsonData);
+  if (withJson.length <= budget) return { parts: [withJson], jsonInlined: true, truncated: false };
+
+  const jsonNote = buildJsonNote(detailsUrl);
+  if (summary.length + jsonNote.length <= budget) {
+    core.info(`[renderCommentParts] Moved the complete JSON out of the comment (${withJson.length} characters)`);
+    return { parts: [summary + jsonNote], jsonInlined: false, truncated: false };
+  }
+
+  let truncated = summary;
+  for (const limit of LIST_LIMITS) {
+    truncated = truncateLists(summary, limit);
+    if (truncated.length + jsonNote.length <= budget) {
+      core.info(`[renderCommentParts] Truncated lists to ${limit} items to fit one comment`);
+      return { parts: [truncated + jsonNote], jsonInlined: false, truncated: true };
+    }
+  }
+
+  const parts = splitReport(truncated + jsonNote, budget);
+  core.info(`[renderCommentParts] Split the report into ${parts.length} comments`);
+  return { parts, jsonInlined: false, truncated: true };
+};
+
+// Job summary body: the full report plus the JSON when both fit in the 1 MiB limit
+const renderJobSummary = (summary, jsonData, jsonPath) => {
+  const withJson = summary + buildJsonBlock(jsonData);
+  if (withJson.length <= MAX_JOB_SUMMARY_LENGTH) return withJson;
+
+  const note = `\n### 📎 Complete Impact Analysis Data\nThe complete JSON is too large for the job summary${jsonPath ? ` and was written to \`${jsonPath}\`` : ""}.\n`;
+  return summary.length + note.length <= MAX_JOB_SUMMARY_LENGTH
+    ? summary + note
+    : truncateLists(summary, LIST_LIMITS[LIST_LIMITS.length - 1]).slice(0, MAX_JOB_SUMMARY_LENGTH - note.length) + note;
+};
+
+// Comments of this configuration by part number. Comments posted before markers existed
+// are recognised by their heading and only for the default key
+const findReportComments = async (octokit, { owner, repo, issue_number, commentKey }) => {
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, { owner, repo, issue_number, per_page: 100 });
+  const ownComments = comments.filter(comment => comment.user?.type === "Bot" && comment.user?.login === "github-actions[bot]");
+  const isDefaultKey = normalizeCommentKey(commentKey) === "default";
+
+  const existingByPart = new Map();
+  ownComments.forEach(comment => {
+    const body = String(comment.body || "");
+    const isUnmarkedReport = isDefaultKey && !body.includes("<!-- dqlabs-impact-analysis:") && body.includes("## Impact Analysis Report");
+    const part = getCommentPart(body, commentKey) || (isUnmarkedReport ? 1 : null);
+    if (part && !existingByPart.has(part)) existingByPart.set(part, comment);
+  });
+  return existingByPart;
+};
+
+// Create or update one comment per part, delete parts left over from a longer previous report,
+// then link the parts to each other from their headers. The state marker rides on the first part.
+const postCommentParts = async (octokit, { owner, repo, issue_number, parts, existingByPart, commentKey, stateMarker = "" }) => {
+  const withHeader = (body, index, links = []) => {
+    const markers = `${commentMarker(commentKey, index + 1)}${index === 0 && stateMarker ? `\n${stateMarker}` : ""}`;
+    if (parts.length === 1) return `${markers}\n${body}`;
+    const navigation = links.map((url, i) => (i === index ? `**${i + 1}**` : `[${i + 1}](${url})`)).join(" · ");
+    return `${markers}\n> Impact analysis report, part ${index + 1} of ${parts.length}${navigation ? ` — parts: ${navigation}` : ""}\n\n${body}`;
+  };
+
+  const posted = [];
+  for (const [index, body] of parts.entries()) {
+    const existing = existingByPart.get(index + 1);
+    if (existing) {
+      const { data } = await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body: withHeader(body, index) });
+      core.info(`[postCommentParts] Updated comment ${existing.id} (part ${index + 1}/${parts.length})`);
+      posted.push(data);
+    } else {
+      const { data } = await octokit.rest.issues.createComment({ owner, repo, issue_number, body: withHeader(body, index) });
+      core.info(`[postCommentParts] Created comment ${data.id} (part ${index + 1}/${parts.length})`);
+      posted.push(data);
+    }
+  }
+
+  for (const [part, comment] of existingByPart.entries()) {
+    if (part > parts.length) {
+      await octokit.rest.issues.deleteComment({ owner, repo, comment_id: comment.id });
+      core.info(`[postCommentParts] Deleted stale comment ${comment.id} (part ${part})`);
+    }
+  }
+
+  if (posted.length > 1) {
+    const links = posted.map(comment => comment.html_url);
+    for (const [index, comment] of posted.entries()) {
+      await octokit.rest.issues.updateComment({ owner, repo, comment_id: comment.id, body: withHeader(parts[index], index, links) });
+    }
+  }
+
+  return posted;
+};
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  COMMENT_BUDGET,
+  normalizeCommentKey,
+  commentMarker,
+  getCommentPart,
+  findReportComments,
+  truncateLists,
+  renderCommentParts,
+  renderJobSummary,
+  postCommentParts
+};
@@ -0,0 +1,112 @@
+const core = require("@actions/core");
+const { safeArray } = require("./utils");
+
+const FAILED_RUN_STATUSES = ["failed", "failure", "error", "errored", "aborted"];
+
+// Impact items are keyed the way DQLabs identifies them; local-only items have no DQLabs asset
+const healthKey = (item) => (item?.source === "local" || !item?.id ? null : `${item.connection_id || ""}:${item.id}`);
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(number) ? number : null;
+};
+
+// Read score, alerts_count and last_run { status, run_at } from the response.data of one asset
+const normalizeHealth = (data, scoreThreshold) => {
+  const score = toNumber(data?.score);
+  const activeAlerts = toNumber(data?.alerts_count);
+  const lastRunStatus = data?.last_run?.status || null;
+  const lastRunAt = data?.last_run?.run_at || null;
+
+  const reasons = [];
+  if (score !== null && score < scoreThreshold) reasons.push(`DQ score ${score} below ${scoreThreshold}`);
+  if (activeAlerts) reasons.push(`${activeAlerts} active alert${activeAlerts === 1 ? "" : "s"}`);
+  if (lastRunStatus && FAILED_RUN_STATUSES.includes(String(lastRunStatus).toLowerCase())) reasons.push(`last run ${String(lastRunStatus).toLowerCase()}`);
+
+  return {
+    available: score !== null || activeAlerts !== null || lastRunStatus !== null,
+    score,
+    active_alerts: activeAlerts,
+    last_run_status: lastRunStatus,
+    last_run_at: lastRunAt,
+    unhealthy: reasons.length > 0,
+    reasons
+  };
+};
+
+// Fetch the current quality status of every impacted DQLabs asset once and attach it as item.dq_health
+const attachAssetHealth = async (client, fileImpacts, { path, scoreThreshold }) => {
+  const itemsByKey = new Map();
+  Object.values(fileImpacts || {}).forEach(impacts => {
+    [...safeArray(impacts.direct), ...safeArray(impacts.indirect)].forEach(item => {
+      const key = healthKey(item);
+      if (!key) return;
+      if (!itemsByKey.has(key)) itemsByKey.set(key, []);
+      itemsByKey.get(key).push(item);
+    });
+  });
+
+  core.info(`[attachAssetHealth] Fetching data quality status for ${itemsByKey.size} assets`);
+  await Promise.all(Array.from(itemsByKey.values()).map(async items => {
+    const item = items[0];
+    try {
+      const response = await client.post(path, {
+        asset_id: item.id,
+        connection_id: item.connection_id,
+        entity: item.entity,
+        asset_group: item.asset_group
+      }, `data quality status for ${item.name}`);
+      const health = normalizeHealth(response?.data?.response?.data, scoreThreshold);
+      items.forEach(impactItem => {
+        impactItem.dq_health = health;
+      });
+    } catch (error) {
+      core.warning(`[attachAssetHealth] Could not fetch the data quality status of ${item.name}: ${error.message}`);
+    }
+  }));
+
+  return { requested: itemsByKey.size, failed: client.failures.length };
+};
+
+// " · DQ 72 · 3 alerts · last run failed ⚠️" after an asset in the lists
+const formatHealthNote = (item) => {
+  const health = item?.dq_health;
+  if (!health?.available) return "";
+  const parts = [];
+  if (health.score !== null) parts.push(`DQ ${health.score}`);
+  if (health.active_alerts !== null) parts.push(`${health.active_alerts} alert${health.active_alerts === 1 ? "" : "s"}`);
+  if (health.last_run_status) parts.push(`last run ${String(health.last_run_status).toLowerCase()}`);
+  return ` · ${parts.join(" · ")}${health.unhealthy ? " ⚠️" : ""}`;
+};
+
+// Impacted assets that were already unhealthy before this change, one per DQLabs asset.
+// qualifyName tells apart assets that share a name across connections or schemas.
+const getUnhealthyAssets = (fileImpacts, qualifyName = item => item.name) => {
+  const unhealthy = new Map();
+  Object.values(fileImpacts || {}).forEach(impacts => {
+    [...safeArray(impacts.direct), ...safeArray(impacts.indirect)]
+      .filter(item => item?.dq_health?.unhealthy && healthKey(item))
+      .forEach(item => unhealthy.set(healthKey(item), { name: qualifyName(item), reasons: item.dq_health.reasons }));
+  });
+  return Array.from(unhealthy.values());
+};
+
+// JSON fields for one impacted asset; null when the status is unknown
+const toHealthFields = (item) => {
+  const health = item?.dq_health;
+  return {
+    dq_score: health?.score ?? null,
+    active_alerts: health?.active_alerts ?? null,
+    last_run_status: health?.last_run_status ?? null,
+    last_run_at: health?.last_run_at ?? null,
+    unhealthy: health ? health.unhealthy : null
+  };
+};
+
+module.exports = {
+  normalizeHealth,
+  attachAssetHealth,
+  formatHealthNote,
+  getUnhealthyAssets,
+  toHealthFields
+};
@@ -0,0 +1,113 @@
+const core = require("@actions/core");
+const axios = require("axios");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Request options axios rejects before sending; another attempt fails the same way
+const CONFIGURATION_ERROR_CODES = ["ERR_INVALID_URL", "ERR_BAD_OPTION", "ERR_BAD_OPTION_VALUE"];
+
+// Timeouts and connection errors have no response; 429 and 5xx are worth another attempt
+const isRetryable = (error) => {
+  if (CONFIGURATION_ERROR_CODES.includes(error.code)) return false;
+  if (!error.response) return true;
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+};
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Shared DQLabs API client: bounded concurrency, request rate limit, retries with exponential backoff
+const createDQLabsClient = ({
+  baseUrl,
+  clientId,
+  clientSecret,
+  concurrency = 4,
+  maxRetries = 3,
+  timeout = 30000,
+  requestsPerSecond = 0,
+  retryBaseDelay = 500
+}) => {
+  const failures = [];
+  const limit = Math.max(1, concurrency);
+  const queue = [];
+  let active = 0;
+  let nextRequestAt = 0;
+
+  const acquire = () => new Promise(resolve => {
+    if (active < limit) {
+      active++;
+      resolve();
+    } else {
+      queue.push(resolve);
+    }
+  });
+
+  const release = () => {
+    const next = queue.shift();
+    if (next) next();
+    else active--;
+  };
+
+  // Space request starts evenly when a rate limit is configured
+  const waitForRateLimit = async () => {
+    if (!requestsPerSecond) return;
+    const now = Date.now();
+    const startAt = Math.max(now, nextRequestAt);
+    nextRequestAt = startAt + 1000 / requestsPerSecond;
+    if (startAt > now) await sleep(startAt - now);
+  };
+
+  // Each attempt takes a concurrency slot and gives it back before backing off, so a request
+  // waiting to retry does not hold up the others
+  const post = async (urlPath, payload, label = urlPath) => {
+    if (!baseUrl) {
+      const error = new Error("DQLabs base URL is not configured");
+      failures.push({ label, path: urlPath, status: null, message: error.message, attempts: 0 });
+      throw error;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let delay;
+      await acquire();
+      try {
+        await waitForRateLimit();
+        return await axios.post(`${baseUrl}${urlPath}`, payload, {
+          headers: {
+            "Content-Type": "application/json",
+            "client-id": clientId,
+            "client-secret": clientSecret,
+          },
+          timeout
+        });
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryable(error)) {
+          failures.push({ label, path: urlPath, status: error.response?.status || null, message: error.message, attempts: attempt + 1 });
+          throw error;
+        }
+
+        const retryAfter = Number(error.response?.headers?.["retry-after"]);
+        delay = Number.isFinite(retryAfter) && retryAfter > 0
+          ? retryAfter * 1000
+          : retryBaseDelay * 2 ** attempt + Math.floor(Math.random() * retryBaseDelay);
+        core.warning(`[dqlabsClient] ${label} failed (${error.response?.status || error.code || error.message}); retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+      } finally {
+        release();
+      }
+      await sleep(delay);
+    }
+  };
+
+  return {
+    post,
+    failures,
+    isIncomplete: () => failures.length > 0
+  };
+};
+
+module.exports = {
+  createDQLabsClient,
+  parsePositiveInt
+};
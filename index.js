@@ -1,28 +1,59 @@
 const core = require("@actions/core");
 const github = require("@actions/github");
-const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
 const yaml = require("js-yaml");
-
-// Import utilities with safe fallbacks
-const { 
-  extractColumnsFromSQL = () => [], 
-  getFileContent = () => null, 
-  extractColumnsFromYML = () => [] 
-} = require("./sql-parser") || {};
-
-// Get inputs with defaults
-const clientId = core.getInput("api_client_id") || "";
-const clientSecret = core.getInput("api_client_secret") || "";
-const changedFilesList = core.getInput("changed_files_list") || "";
-const githubToken = core.getInput("GITHUB_TOKEN") || "";
-const dqlabs_base_url = core.getInput("dqlabs_base_url") || "";
-const dqlabs_createlink_url = core.getInput("dqlabs_createlink_url") || "";
-const dqlabs_configurable_keys = core.getInput("dqlabs_configurable_keys") || "";
-
-// Safe array processing utility
-const safeArray = (maybeArray) => Array.isArray(maybeArray) ? maybeArray : [];
+const { safeArray, getImpactsForChangedColumn, findLineNumber } = require("./utils");
+const { isCoalesceNodeFile, parseNodeYAML, diffNodeColumns } = require("./coalesce-parser");
+const { loadProjectNodes, buildLineageGraph, getLocalImpacts } = require("./lineage-graph");
+const { parsePolicyConfig, evaluatePolicy, buildPolicySection } = require("./policy");
+const { createDQLabsClient, parsePositiveInt } = require("./dqlabs-client");
+const { analyzeJobs } = require("./job-selector");
+const { OUTPUT_SCHEMA_VERSIONS, parseOutputFormats, writeReportFiles } = require("./report-formats");
+const { buildColumnAnnotations, publishCheckRun } = require("./check-run");
+const { COMMENT_BUDGET, renderCommentParts, renderJobSummary, findReportComments, postCommentParts } = require("./comment-renderer");
+const { buildLineageDiagram, buildLineageDiagramSection } = require("./lineage-diagram");
+const { parseRiskWeights, computeRiskScore, buildRiskSection } = require("./risk-score");
+const { getTestCoverageChanges, getCoverageLosses, buildTestCoverageSection } = require("./test-coverage");
+const { attachAssetHealth, formatHealthNote, getUnhealthyAssets, toHealthFields } = require("./dq-health");
+const { buildRunState, encodeRunState, decodeRunState, diffRunStates, buildChangesSinceLastRunSection } = require("./run-state");
+const { loadOwnershipRules, collectImpactedOwners, splitReviewers, buildOwnersSection } = require("./owners");
+const { MATCH_LABELS, MATCH_TYPES, columnKey, matchImpactedFields, summarizeMatchTypes } = require("./column-matcher");
+const { splitList, createDbtMatcher, createCoalesceMatcher, loadTaskOverrides, matchTasks } = require("./task-matcher");
+const {
+  isNodeTypeFile,
+  getNodeTypeDirectory,
+  parseNodeTypeId,
+  nodeUsesNodeType,
+  isPackageFile,
+  parsePackageYAML,
+  diffPackages,
+  diffPackageVariables,
+  loadProjectDocuments,
+  loadEnvironments,
+  loadLocations,
+  resolveStorageLocation,
+  getFullyQualifiedNames,
+  selectEnvironments
+} = require("./coalesce-project");
+
+// Column extraction depends on the parser module; without it every column section would be empty
+let sqlParser;
+try {
+  sqlParser = require("./sql-parser");
+} catch (error) {
+  core.setFailed(`[INIT] Unable to load ./sql-parser: ${error.message}`);
+  throw error;
+}
+const { extractColumnsFromSQL, getFileContent, listFilesAtCommit, extractColumnsFromYML, diffSQLColumns, diffYMLColumns } = sqlParser;
+
+// Inputs are read by loadInputs so the CLI can supply them without the Actions runtime
+let clientId, clientSecret, changedFilesList, githubToken, dqlabs_base_url, dqlabs_createlink_url, dqlabs_configurable_keys;
+let lineage_source, coalesce_connection_types, coalesce_environment, report_environments, task_mapping_file;
+let output_formats, output_dir, check_run, check_run_name, comment_key, owners_file, dqlabs_embedded_owners, request_owner_reviews;
+let column_name_matching, columnNameFallback, diagram_max_nodes, riskWeights;
+let dq_health, dq_health_path, dq_score_threshold, dqHealthClient;
+let policyConfig, dqlabsClient, useApiLineage, useLocalLineage, configurableKeys;
 
 // Parse configurable keys
 const parseConfigurableKeys = (keysString) => {
@@ -37,7 +68,17 @@ const parseConfigurableKeys = (keysString) => {
       showDirectAssetList: true,
       showIndirectAssetList: true,
       showSqlColumnChanges: true,
-      showYmlColumnChanges: true
+      showYmlColumnChanges: true,
+      showCoalesceColumnChanges: true,
+      showModifiedColumnChanges: true,
+      showNodeTypeChanges: true,
+      showJobsAffected: true,
+      showImpactedOwners: true,
+      showLineageDiagram: true,
+      showRiskScore: true,
+      showTestCoverageChanges: true,
+      showPackageChanges: true,
+      showPackageVariables: true
     };
   }
 
@@ -53,12 +94,81 @@ const parseConfigurableKeys = (keysString) => {
     showDirectAssetList: keys.includes('direct_asset_list'),
     showIndirectAssetList: keys.includes('indirect_asset_list'),
     showSqlColumnChanges: keys.includes('sql_column_changes'),
-    showYmlColumnChanges: keys.includes('yml_column_changes')
+    showYmlColumnChanges: keys.includes('yml_column_changes'),
+    showCoalesceColumnChanges: keys.includes('coalesce_column_changes'),
+    showModifiedColumnChanges: keys.includes('modified_column_changes'),
+    showNodeTypeChanges: keys.includes('node_type_changes'),
+    showJobsAffected: keys.includes('jobs_affected'),
+    showImpactedOwners: keys.includes('impacted_owners'),
+    showLineageDiagram: keys.includes('lineage_diagram'),
+    showRiskScore: keys.includes('risk_score'),
+    showTestCoverageChanges: keys.includes('test_coverage_changes'),
+    showPackageChanges: keys.includes('package_changes'),
+    showPackageVariables: keys.includes('package_variables')
+  };
+};
+
+// Get inputs with defaults; getInput defaults to the action inputs
+const loadInputs = (getInput = core.getInput) => {
+  clientId = getInput("api_client_id") || "";
+  clientSecret = getInput("api_client_secret") || "";
+  changedFilesList = getInput("changed_files_list") || "";
+  githubToken = getInput("GITHUB_TOKEN") || "";
+  dqlabs_base_url = getInput("dqlabs_base_url") || "";
+  dqlabs_createlink_url = getInput("dqlabs_createlink_url") || "";
+  dqlabs_configurable_keys = getInput("dqlabs_configurable_keys") || "";
+  lineage_source = (getInput("lineage_source") || "both").trim().toLowerCase();
+  coalesce_connection_types = getInput("coalesce_connection_types") || "coalesce";
+  coalesce_environment = getInput("coalesce_environment") || "";
+  report_environments = getInput("report_environments") || "";
+  task_mapping_file = getInput("task_mapping_file") || ".github/dqlabs-task-mapping.yml";
+  output_formats = parseOutputFormats(getInput("output_formats"));
+  output_dir = getInput("output_dir") || "dqlabs-impact-analysis";
+  check_run = (getInput("check_run") || "true").trim().toLowerCase() === "true";
+  check_run_name = getInput("check_run_name") || "DQLabs Impact Analysis";
+  comment_key = getInput("comment_key") || "default";
+  owners_file = getInput("owners_file") || ".github/dqlabs-owners.yml";
+  dqlabs_embedded_owners = (getInput("dqlabs_embedded_owners") || "false").trim().toLowerCase() === "true";
+  request_owner_reviews = (getInput("request_owner_reviews") || "false").trim().toLowerCase() === "true";
+  column_name_matching = (getInput("column_name_matching") || "off").trim().toLowerCase();
+  columnNameFallback = column_name_matching === "fallback";
+  diagram_max_nodes = parsePositiveInt(getInput("diagram_max_nodes"), 25);
+  riskWeights = parseRiskWeights(getInput("risk_weights"));
+  dq_health = (getInput("dq_health") || "false").trim().toLowerCase() === "true";
+  dq_health_path = getInput("dq_health_path") || "/api/asset/quality/";
+  dq_score_threshold = parsePositiveInt(getInput("dq_score_threshold"), 80);
+
+  policyConfig = parsePolicyConfig({
+    policy_mode: getInput("policy_mode"),
+    fail_on_breaking_changes: getInput("fail_on_breaking_changes"),
+    max_direct_assets: getInput("max_direct_assets"),
+    max_indirect_assets: getInput("max_indirect_assets"),
+    fail_on_report_impact: getInput("fail_on_report_impact"),
+    fail_on_test_coverage_loss: getInput("fail_on_test_coverage_loss")
+  });
+
+  // Every lineage call goes through one client so concurrency, retries and failures are shared
+  const clientOptions = {
+    baseUrl: dqlabs_base_url,
+    clientId,
+    clientSecret,
+    concurrency: parsePositiveInt(getInput("api_concurrency"), 4),
+    maxRetries: parsePositiveInt(getInput("api_max_retries"), 3),
+    timeout: parsePositiveInt(getInput("api_timeout_ms"), 30000),
+    requestsPerSecond: parsePositiveInt(getInput("api_requests_per_second"), 0)
   };
+  dqlabsClient = createDQLabsClient(clientOptions);
+  // Quality lookups keep their own failures: a missing status does not make the impacts incomplete
+  dqHealthClient = createDQLabsClient(clientOptions);
+
+  // Where impacts come from: the DQLabs API, the local Coalesce graph, or both merged
+  useApiLineage = lineage_source === "api" || lineage_source === "both";
+  useLocalLineage = lineage_source === "local" || lineage_source === "both";
+
+  // Parse the configurable keys
+  configurableKeys = parseConfigurableKeys(dqlabs_configurable_keys);
 };
 
-// Parse the configurable keys
-const configurableKeys = parseConfigurableKeys(dqlabs_configurable_keys);
 
 const getChangedFiles = async () => {
   try {
@@ -93,14 +203,23 @@ const getChangedFiles = async () => {
   }
 };
 
-const getTasks = async () => {
-  try {
-    const taskUrl = `${dqlabs_base_url}/api/pipeline/task/`;
+// Page sizes for DQLabs list endpoints and a safety cap on how many pages are walked
+const TASK_PAGE_LIMIT = 100;
+const FIELD_PAGE_LIMIT = 200;
+const MAX_PAGES = 500;
+
+// Task index is fetched once per run and shared by every changed file
+let taskCache = null;
+
+const fetchAllTasks = async () => {
+  const tasks = [];
+
+  for (let page = 0; page < MAX_PAGES; page++) {
     const payload = {
       chartType: 0,
       search: {},
-      page: 0,
-      pageLimit: 100,
+      page,
+      pageLimit: TASK_PAGE_LIMIT,
       sortBy: "name",
       orderBy: "asc",
       date_filter: { days: "All", selected: "All" },
@@ -108,24 +227,37 @@ const getTasks = async () => {
       is_chart: true,
     };
 
-    const response = await axios.post(taskUrl, payload, {
-      headers: {
-        "Content-Type": "application/json",
-        "client-id": clientId,
-        "client-secret": clientSecret,
-      }
-    });
+    // Keep the pages already fetched; the client records the failure as incomplete analysis
+    let response;
+    try {
+      response = await dqlabsClient.post("/api/pipeline/task/", payload, `getTasks page ${page + 1}`);
+    } catch (error) {
+      core.error(`[getTasks] Error on page ${page + 1}: ${error.message}`);
+      break;
+    }
 
-    return response?.data?.response?.data || [];
-  } catch (error) {
-    core.error(`[getTasks] Error: ${error.message}`);
-    return [];
+    const pageTasks = safeArray(response?.data?.response?.data);
+    tasks.push(...pageTasks);
+    core.info(`[getTasks] Fetched page ${page + 1}: ${pageTasks.length} tasks (${tasks.length} total)`);
+
+    if (pageTasks.length < TASK_PAGE_LIMIT) break;
   }
+
+  return tasks;
+};
+
+const getTasks = async () => {
+  if (!taskCache) {
+    taskCache = fetchAllTasks().catch(error => {
+      core.error(`[getTasks] Error: ${error.message}`);
+      return [];
+    });
+  }
+  return taskCache;
 };
 
 const getImpactAnalysisData = async (asset_id, connection_id, entity, isDirect = true) => {
   try {
-    const impactAnalysisUrl = `${dqlabs_base_url}/api/lineage/impact-analysis/`;
     const payload = {
       connection_id,
       asset_id,
@@ -137,16 +269,10 @@ const getImpactAnalysisData = async (asset_id, connection_id, entity, isDirect =
       search_key: ""
     };
 
-    const response = await axios.post(
-      impactAnalysisUrl,
+    const response = await dqlabsClient.post(
+      "/api/lineage/impact-analysis/",
       payload,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "client-id": clientId,
-          "client-secret": clientSecret,
-        },
-      }
+      `${isDirect ? "direct" : "indirect"} table impact for ${entity}`
     );
 
     return safeArray(response?.data?.response?.data?.tables || []);
@@ -156,92 +282,92 @@ const getImpactAnalysisData = async (asset_id, connection_id, entity, isDirect =
   }
 };
 
-// Enhanced function for column-level impact analysis
-const getColumnLevelImpactAnalysis = async (asset_id, connection_id, entity, changedColumns, isDirect = true) => {
+// Enhanced function for column-level impact analysis; sourceName is the changed table as DQLabs
+// knows it and localColumns maps Coalesce lineage keys (table.column) to the changed column
+const getColumnLevelImpactAnalysis = async (asset_id, connection_id, entity, changedColumns, isDirect = true, { sourceName = "", localColumns = new Map() } = {}) => {
   try {
     core.info(`[getColumnLevelImpactAnalysis] Starting analysis for entity: ${entity}, changedColumns: [${changedColumns.join(', ')}]`);
     
-    const impactAnalysisUrl = `${dqlabs_base_url}/api/lineage/impact-analysis/`;
-    const payload = {
-      connection_id,
-      asset_id,
-      entity,
-      field_offset: 0,
-      field_limit: 200, // Increased limit to get more fields
-      moreOptions: {
-        view_by: "column",
-        ...(!isDirect && { depth: 10 }), // Add depth only for indirect impact
-      },
-      search_key: ""
-    };
+    core.info(`[getColumnLevelImpactAnalysis] Making API calls to: ${dqlabs_base_url}/api/lineage/impact-analysis/`);
+
+    // Fields are paged per table; keep requesting until no table returns a full page
+    const tablesByKey = new Map();
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const payload = {
+        connection_id,
+        asset_id,
+        entity,
+        field_offset: page * FIELD_PAGE_LIMIT,
+        field_limit: FIELD_PAGE_LIMIT,
+        moreOptions: {
+          view_by: "column",
+          ...(!isDirect && { depth: 10 }), // Add depth only for indirect impact
+        },
+        search_key: ""
+      };
 
-    core.info(`[getColumnLevelImpactAnalysis] Making API call to: ${impactAnalysisUrl}`);
-    core.info(`[getColumnLevelImpactAnalysis] Payload: ${JSON.stringify(payload)}`);
+      core.info(`[getColumnLevelImpactAnalysis] Payload: ${JSON.stringify(payload)}`);
 
-    const response = await axios.post(
-      impactAnalysisUrl,
-      payload,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "client-id": clientId,
-          "client-secret": clientSecret,
-        },
+      // A failed page keeps the fields already merged; the client records the failure as incomplete analysis
+      let response;
+      try {
+        response = await dqlabsClient.post(
+          "/api/lineage/impact-analysis/",
+          payload,
+          `${isDirect ? "direct" : "indirect"} column impact for ${entity} (field page ${page + 1})`
+        );
+      } catch (error) {
+        core.warning(`[getColumnLevelImpactAnalysis] Error on field page ${page + 1} for ${entity}, keeping ${page} earlier page(s): ${error.message}`);
+        break;
       }
-    );
 
-    core.info(`[getColumnLevelImpactAnalysis] API response status: ${response.status}`);
-    core.info(`[getColumnLevelImpactAnalysis] Response data structure: ${JSON.stringify(Object.keys(response.data || {}))}`);
+      const pageTables = safeArray(response?.data?.response?.data?.tables || []);
+      let hasMoreFields = false;
+      pageTables.forEach(table => {
+        const key = `${table.id}-${table.name}-${table.connection_id}`;
+        const fields = safeArray(table.fields || []);
+        if (fields.length >= FIELD_PAGE_LIMIT) hasMoreFields = true;
+
+        if (tablesByKey.has(key)) {
+          tablesByKey.get(key).fields.push(...fields);
+        } else {
+          tablesByKey.set(key, { ...table, fields: [...fields] });
+        }
+      });
 
-    // Extract column-level information from the response
-    const tables = safeArray(response?.data?.response?.data?.tables || []);
+      core.info(`[getColumnLevelImpactAnalysis] Fetched field page ${page + 1} (status ${response.status}): ${pageTables.length} tables, ${pageTables.reduce((sum, table) => sum + safeArray(table.fields).length, 0)} fields`);
+      if (!hasMoreFields) break;
+    }
+
+    // Extract column-level information from the merged pages
+    const tables = Array.from(tablesByKey.values());
     core.info(`[getColumnLevelImpactAnalysis] Found ${tables.length} tables in response`);
     
-    const columnImpacts = [];
-
     tables.forEach((table, tableIndex) => {
-      const fields = safeArray(table.fields || []);
-      core.info(`[getColumnLevelImpactAnalysis] Table ${tableIndex + 1}: ${table.name} has ${fields.length} fields`);
-      
-      fields.forEach((field, fieldIndex) => {
-        // Enhanced column matching with multiple strategies
-        const isImpacted = changedColumns.some(changedCol => {
-          const fieldName = field.name ? field.name.toLowerCase() : '';
-          const changedColName = changedCol.toLowerCase();
-          
-          // Exact match
-          if (fieldName === changedColName) return true;
-          
-          // Partial match (for cases where column names might be slightly different)
-          if (fieldName.includes(changedColName) || changedColName.includes(fieldName)) return true;
-          
-          // Handle quoted column names
-          const unquotedFieldName = fieldName.replace(/[`"']/g, '');
-          const unquotedChangedCol = changedColName.replace(/[`"']/g, '');
-          if (unquotedFieldName === unquotedChangedCol) return true;
-          
-          return false;
-        });
+      core.info(`[getColumnLevelImpactAnalysis] Table ${tableIndex + 1}: ${table.name} has ${safeArray(table.fields).length} fields`);
+    });
 
-        if (isImpacted) {
-          core.info(`[getColumnLevelImpactAnalysis] Found impacted column: ${table.name}.${field.name}`);
-          columnImpacts.push({
-            table_name: table.name,
-            column_name: field.name,
-            column_id: field.id,
-            data_type: field.data_type,
-            table_id: table.id,
-            redirect_id: table.redirect_id,
-            entity: table.entity,
-            connection_id: table.connection_id,
-            asset_name: table.asset_name,
-            flow: table.flow,
-            depth: table.depth,
-            impact_type: "Column Referenced",
-            asset_group: table.asset_group
-          });
-        }
-      });
+    // Fields are tied to changed columns through lineage; names only decide for fields without lineage
+    const matches = matchImpactedFields(tables, changedColumns, { sourceName, localColumns, nameFallback: columnNameFallback });
+    const columnImpacts = matches.map(({ table, field, changedColumn, matchType }) => {
+      core.info(`[getColumnLevelImpactAnalysis] Found impacted column: ${table.name}.${field.name} (${changedColumn}, ${MATCH_LABELS[matchType]})`);
+      return {
+        table_name: table.name,
+        column_name: field.name,
+        column_id: field.id,
+        data_type: field.data_type,
+        table_id: table.id,
+        redirect_id: table.redirect_id,
+        entity: table.entity,
+        connection_id: table.connection_id,
+        asset_name: table.asset_name,
+        flow: table.flow,
+        depth: table.depth,
+        impact_type: "Column Referenced",
+        asset_group: table.asset_group,
+        changed_column: changedColumn,
+        match_type: matchType
+      };
     });
 
     core.info(`[getColumnLevelImpactAnalysis] Found ${columnImpacts.length} column impacts for ${entity}`);
@@ -256,12 +382,170 @@ const getColumnLevelImpactAnalysis = async (asset_id, connection_id, entity, cha
   }
 };
 
+// Find the base version of a node by id when its file was renamed
+const findBaseNodeById = async (baseSha, nodeId, baseNodesCache) => {
+  if (!baseSha || !nodeId) return null;
+
+  if (!baseNodesCache.nodes) {
+    const files = (await listFilesAtCommit(baseSha, "nodes")).filter(isCoalesceNodeFile);
+    baseNodesCache.nodes = [];
+    for (const file of files) {
+      const baseNode = parseNodeYAML(await getFileContent(baseSha, file), file);
+      if (baseNode) baseNodesCache.nodes.push(baseNode);
+    }
+  }
+
+  return baseNodesCache.nodes.find(baseNode => baseNode.id === nodeId) || null;
+};
+
+// Diff base and head versions of every changed Coalesce node file
+const getCoalesceNodeChanges = async (changedFiles) => {
+  const baseSha = process.env.GITHUB_BASE_SHA || github.context.payload.pull_request?.base?.sha;
+  const headSha = process.env.GITHUB_HEAD_SHA || github.context.payload.pull_request?.head?.sha;
+  const versions = [];
+
+  for (const file of changedFiles.filter(isCoalesceNodeFile)) {
+    try {
+      const baseNode = baseSha ? parseNodeYAML(await getFileContent(baseSha, file), file) : null;
+      const headNode = parseNodeYAML(await getFileContent(headSha, file), file);
+
+      if (!baseNode && !headNode) {
+        core.warning(`[getCoalesceNodeChanges] No node content found for ${file}`);
+        continue;
+      }
+
+      versions.push({ file, baseNode, headNode });
+    } catch (error) {
+      core.error(`[getCoalesceNodeChanges] Error reading ${file}: ${error.message}`);
+    }
+  }
+
+  // A renamed node file keeps its id: pair the deleted base file with the added head file
+  const baseNodesCache = {};
+  for (const version of versions.filter(v => v.headNode && !v.baseNode)) {
+    const deleted = versions.find(v => v.baseNode && !v.headNode && v.baseNode.id === version.headNode.id);
+    if (deleted) {
+      version.baseNode = deleted.baseNode;
+      versions.splice(versions.indexOf(deleted), 1);
+    } else {
+      version.baseNode = await findBaseNodeById(baseSha, version.headNode.id, baseNodesCache);
+    }
+    if (version.baseNode) {
+      core.info(`[getCoalesceNodeChanges] ${version.baseNode.file} was renamed to ${version.file}`);
+    }
+  }
+
+  const nodeChanges = [];
+  versions.forEach(({ file, baseNode, headNode }) => {
+    try {
+      const { added, removed, modified, renamed } = diffNodeColumns(baseNode, headNode);
+      const node = headNode || baseNode;
+      const previousFile = baseNode && baseNode.file !== file ? baseNode.file : null;
+      const previousName = baseNode && headNode && baseNode.name !== headNode.name ? baseNode.name : null;
+
+      core.info(`[getCoalesceNodeChanges] ${node.name} (${file}) - Added: [${added.map(c => c.name).join(', ')}], Removed: [${removed.map(c => c.name).join(', ')}], Modified: [${modified.map(c => c.name).join(', ')}], Renamed: [${renamed.map(c => `${c.previousName} -> ${c.name}`).join(', ')}]`);
+
+      nodeChanges.push({ file, node, baseNode, headNode, added, removed, modified, renamed, previousFile, previousName });
+    } catch (error) {
+      core.error(`[getCoalesceNodeChanges] Error diffing ${file}: ${error.message}`);
+    }
+  });
+
+  return nodeChanges;
+};
+
+// Resolve changed node type templates to the project nodes built from them
+const getNodeTypeChanges = async (changedFiles, projectNodes) => {
+  const baseSha = process.env.GITHUB_BASE_SHA || github.context.payload.pull_request?.base?.sha;
+  const headSha = process.env.GITHUB_HEAD_SHA || github.context.payload.pull_request?.head?.sha;
+  const filesByDirectory = new Map();
+
+  changedFiles.filter(isNodeTypeFile).forEach(file => {
+    const directory = getNodeTypeDirectory(file);
+    if (!filesByDirectory.has(directory)) filesByDirectory.set(directory, []);
+    filesByDirectory.get(directory).push(file);
+  });
+
+  const nodeTypeChanges = [];
+  for (const [directory, files] of filesByDirectory.entries()) {
+    try {
+      const definitionFile = `${directory}/definition.yml`;
+      const definition = await getFileContent(headSha, definitionFile) || (baseSha ? await getFileContent(baseSha, definitionFile) : null);
+      const id = parseNodeTypeId(definition, directory);
+      const nodes = safeArray(projectNodes).filter(node => nodeUsesNodeType(node, id));
+
+      core.info(`[getNodeTypeChanges] Node type ${id} (${directory}) changed in [${files.join(', ')}], used by ${nodes.length} nodes: [${nodes.map(node => node.name).join(', ')}]`);
+      nodeTypeChanges.push({ id, directory, files, nodes });
+    } catch (error) {
+      core.error(`[getNodeTypeChanges] Error resolving ${directory}: ${error.message}`);
+    }
+  }
+
+  return nodeTypeChanges;
+};
+
+// Resolve changed packages to the node types they toggle or re-release, and those to project nodes
+const getPackageChanges = async (changedFiles, projectNodes) => {
+  const baseSha = process.env.GITHUB_BASE_SHA || github.context.payload.pull_request?.base?.sha;
+  const headSha = process.env.GITHUB_HEAD_SHA || github.context.payload.pull_request?.head?.sha;
+
+  const packageChanges = [];
+  for (const file of changedFiles.filter(isPackageFile)) {
+    try {
+      const basePackage = baseSha ? parsePackageYAML(await getFileContent(baseSha, file), file) : null;
+      const headPackage = parsePackageYAML(await getFileContent(headSha, file), file);
+      if (!basePackage && !headPackage) {
+        core.warning(`[getPackageChanges] No package content found for ${file}`);
+        continue;
+      }
+
+      const packageChange = diffPackages(basePackage, headPackage);
+      // Package node types are referenced by nodes as "<packageID>:::<nodeTypeID>"
+      packageChange.nodes = safeArray(projectNodes).filter(node =>
+        packageChange.affectedNodeTypeIds.some(id => nodeUsesNodeType(node, `${packageChange.id}:::${id}`)));
+
+      core.info(`[getPackageChanges] Package ${packageChange.id} (${file}) - release ${packageChange.release ? `${packageChange.release.before} -> ${packageChange.release.after}` : 'unchanged'}, node types [${packageChange.affectedNodeTypeIds.join(', ')}], used by ${packageChange.nodes.length} nodes: [${packageChange.nodes.map(node => node.name).join(', ')}]`);
+      packageChanges.push(packageChange);
+    } catch (error) {
+      core.error(`[getPackageChanges] Error resolving ${file}: ${error.message}`);
+    }
+  }
+
+  return packageChanges;
+};
+
+// Add the nodes of changed node types or packages to nodeChanges as unedited, template-only changes
+const mergeTemplateChanges = (nodeChanges, templateChanges) => {
+  templateChanges.forEach(templateChange => {
+    templateChange.nodes.forEach(node => {
+      const existing = nodeChanges.find(change => change.node.id === node.id);
+      if (existing) {
+        existing.inheritedFrom = existing.inheritedFrom || templateChange.id;
+        return;
+      }
+      nodeChanges.push({
+        file: node.file, node, baseNode: node, headNode: node,
+        added: [], removed: [], modified: [], renamed: [],
+        previousFile: null, previousName: null,
+        inheritedFrom: templateChange.id, templateOnly: true
+      });
+    });
+  });
+};
+
+// Names of every changed column (renames by their old name) that satisfy a filter
+const getChangedColumnNames = (changedColumns, belongs) => Array.from(new Set(
+  ["added", "removed", "modified", "renamed"]
+    .flatMap(bucket => safeArray(changedColumns[bucket]).filter(belongs).map(col => col.column))
+));
+
 // Enhanced function to extract changed columns from file changes
-const extractChangedColumns = async (changedFiles) => {
+const extractChangedColumns = async (changedFiles, nodeChanges = []) => {
   const changedColumns = {
     added: [],
     removed: [],
-    modified: []
+    modified: [],
+    renamed: []
   };
 
   core.info(`[extractChangedColumns] Processing ${changedFiles.length} changed files`);
@@ -292,27 +576,56 @@ const extractChangedColumns = async (changedFiles) => {
       core.info(`[extractChangedColumns] Base columns for ${file}: [${baseCols.join(', ')}]`);
       core.info(`[extractChangedColumns] Head columns for ${file}: [${headCols.join(', ')}]`);
 
-      // Find added columns
-      const addedCols = headCols.filter(col => !baseCols.includes(col));
-      // Find removed columns
-      const removedCols = baseCols.filter(col => !headCols.includes(col));
+      // Find added, removed and rewritten columns
+      const { added: addedCols, removed: removedCols, modified: modifiedCols } = diffSQLColumns(baseContent, headContent);
 
       core.info(`[extractChangedColumns] Added columns for ${file}: [${addedCols.join(', ')}]`);
       core.info(`[extractChangedColumns] Removed columns for ${file}: [${removedCols.join(', ')}]`);
+      core.info(`[extractChangedColumns] Modified columns for ${file}: [${modifiedCols.map(col => col.name).join(', ')}]`);
 
       changedColumns.added.push(...addedCols.map(col => ({ column: col, file })));
       changedColumns.removed.push(...removedCols.map(col => ({ column: col, file })));
+      changedColumns.modified.push(...modifiedCols.map(col => ({ column: col.name, file, changes: col.changes })));
     } catch (error) {
       core.error(`[extractChangedColumns] Error extracting columns from ${file}: ${error.message}`);
       core.error(`[extractChangedColumns] Stack trace: ${error.stack}`);
     }
   }
 
-  core.info(`[extractChangedColumns] Final results - Added: ${changedColumns.added.length}, Removed: ${changedColumns.removed.length}`);
+  // dbt schema files carry data types and not_null tests for models defined elsewhere
+  for (const file of changedFiles.filter(f => f && /\.ya?ml$/.test(f) && !isCoalesceNodeFile(f))) {
+    try {
+      const baseSha = process.env.GITHUB_BASE_SHA || github.context.payload.pull_request?.base?.sha;
+      const headSha = process.env.GITHUB_HEAD_SHA || github.context.payload.pull_request?.head?.sha;
+
+      const baseContent = baseSha ? await getFileContent(baseSha, file) : null;
+      const headContent = await getFileContent(headSha, file);
+      if (!baseContent || !headContent) continue;
+
+      const { modified } = diffYMLColumns(extractColumnsFromYML(baseContent, file), extractColumnsFromYML(headContent, file));
+      core.info(`[extractChangedColumns] Modified schema columns for ${file}: [${modified.map(col => `${col.model}.${col.name}`).join(', ')}]`);
+
+      changedColumns.modified.push(...modified.map(col => ({ column: col.name, file, model: col.model, changes: col.changes })));
+    } catch (error) {
+      core.error(`[extractChangedColumns] Error extracting schema columns from ${file}: ${error.message}`);
+    }
+  }
+
+  // Coalesce node columns come from the node YAML diff
+  // Renames keep their old name in `column` because that is what consumers reference today
+  nodeChanges.forEach(({ file, node, added, removed, modified, renamed }) => {
+    changedColumns.added.push(...added.map(col => ({ column: col.name, file, node: node.name, dataType: col.dataType })));
+    changedColumns.removed.push(...removed.map(col => ({ column: col.name, file, node: node.name, dataType: col.dataType })));
+    changedColumns.modified.push(...modified.map(col => ({ column: col.name, file, node: node.name, changes: col.changes })));
+    changedColumns.renamed.push(...renamed.map(col => ({ column: col.previousName, newName: col.name, file, node: node.name, changes: col.changes })));
+  });
+
+  core.info(`[extractChangedColumns] Final results - Added: ${changedColumns.added.length}, Removed: ${changedColumns.removed.length}, Modified: ${changedColumns.modified.length}, Renamed: ${changedColumns.renamed.length}`);
   return changedColumns;
 };
 
-const run = async () => {
+// Run the analysis pipeline and build the markdown and JSON reports; publishing is left to the caller
+const analyze = async () => {
   try {
     // Initialize summary with basic info
     let summary = "## Impact Analysis Report\n\n";
@@ -321,10 +634,28 @@ const run = async () => {
     const changedFiles = safeArray(await getChangedFiles());
     core.info(`Found ${changedFiles.length} changed files`);
 
+    // Diff changed Coalesce node YAML files
+    const nodeChanges = await getCoalesceNodeChanges(changedFiles);
+    core.info(`[MAIN] Found ${nodeChanges.length} changed Coalesce nodes`);
+
+    // Project nodes come from the head commit, not whatever is checked out
+    const projectNodes = await loadProjectNodes(process.env.GITHUB_HEAD_SHA || github.context.payload.pull_request?.head?.sha);
+    const projectNodesById = new Map(projectNodes.map(node => [node.id, node]));
+    const projectNodesByName = new Map(projectNodes.map(node => [node.name.toLowerCase(), node]));
+
+    // Nodes built from a changed node type template change too, even if their YAML did not
+    const nodeTypeChanges = await getNodeTypeChanges(changedFiles, projectNodes);
+    mergeTemplateChanges(nodeChanges, nodeTypeChanges);
+
+    // Package releases and toggled package node types change the SQL of every node built from them
+    const packageChanges = await getPackageChanges(changedFiles, projectNodes);
+    mergeTemplateChanges(nodeChanges, packageChanges);
+    const editedNodeChanges = nodeChanges.filter(change => !change.templateOnly);
+
     // Extract changed columns for column-level analysis
-    const changedColumns = await extractChangedColumns(changedFiles);
-    core.info(`[MAIN] Found ${changedColumns.added.length} added columns and ${changedColumns.removed.length} removed columns`);
-    
+    const changedColumns = await extractChangedColumns(changedFiles, nodeChanges);
+    core.info(`[MAIN] Found ${changedColumns.added.length} added columns, ${changedColumns.removed.length} removed columns, ${changedColumns.modified.length} modified columns and ${changedColumns.renamed.length} renamed columns`);
+  
     // Debug: Log all changed columns
     if (changedColumns.added.length > 0) {
       core.info(`[MAIN] Added columns: ${JSON.stringify(changedColumns.added)}`);
@@ -332,39 +663,69 @@ const run = async () => {
     if (changedColumns.removed.length > 0) {
       core.info(`[MAIN] Removed columns: ${JSON.stringify(changedColumns.removed)}`);
     }
+    if (changedColumns.modified.length > 0) {
+      core.info(`[MAIN] Modified columns: ${JSON.stringify(changedColumns.modified)}`);
+    }
+    if (changedColumns.renamed.length > 0) {
+      core.info(`[MAIN] Renamed columns: ${JSON.stringify(changedColumns.renamed)}`);
+    }
 
-    // Process changed SQL models
-    const changedModels = changedFiles
-      .filter(file => file && typeof file === "string" && file.endsWith(".sql"))
-      .map(file => path.basename(file, path.extname(file)))
-      .filter(Boolean);
+    // Describe changed SQL models and Coalesce nodes for task matching
+    const allEnvironments = loadEnvironments();
+    const environments = selectEnvironments(allEnvironments, coalesce_environment);
+    const locations = loadLocations();
+    const changedModels = [
+      ...changedFiles
+        .filter(file => file && typeof file === "string" && file.endsWith(".sql"))
+        .map(file => ({ kind: "dbt", file, name: path.basename(file, path.extname(file)) })),
+      // Renamed nodes are still known to DQLabs by their base name
+      ...nodeChanges.map(({ file, node, baseNode }) => ({
+        kind: "coalesce",
+        file,
+        name: (baseNode || node).name,
+        locationName: (baseNode || node).locationName,
+        storageLocations: environments.map(environment => resolveStorageLocation(baseNode || node, environment, locations))
+      }))
+    ].filter(model => model.name);
+
+    // Environments whose DATABASE.SCHEMA.OBJECT names are shown in the report
+    const reportEnvironments = report_environments ? selectEnvironments(allEnvironments, report_environments) : environments;
+    if (report_environments && reportEnvironments.length === 0) {
+      core.warning(`[MAIN] No Coalesce environment matches report_environments "${report_environments}"`);
+    }
+
+    const getProjectNodeForItem = (item) =>
+      (item?.source === "local" && projectNodesById.get(item.id)) || projectNodesByName.get(String(item?.name || '').toLowerCase());
+
+    const getQualifiedNames = (node) => (node ? getFullyQualifiedNames(node, reportEnvironments, locations) : []);
+
+    const formatQualifiedNames = (qualifiedNames) => {
+      if (qualifiedNames.length === 0) return '';
+      const names = qualifiedNames.map(fqn => (reportEnvironments.length > 1 ? `\`${fqn.name}\` (${fqn.environment})` : `\`${fqn.name}\``));
+      return ` → ${names.join(', ')}`;
+    };
 
     // Get tasks safely
-    const tasks = await getTasks();
-    core.info(`[MAIN] Retrieved ${tasks.length} tasks from DQLabs`);
+    const tasks = useApiLineage ? await getTasks() : [];
+    core.info(`[MAIN] Retrieved ${tasks.length} tasks from DQLabs (lineage source: ${lineage_source})`);
 
     // Match tasks with changed models
-    const matchedTasks = tasks
-      .filter(task => task?.connection_type === "dbt")
-      .filter(task => changedModels.includes(task?.name))
-      .map(task => ({
-        ...task,
-        entity: task?.task_id || "",
-        filePath: changedFiles.find(f => path.basename(f, path.extname(f)) === task.name)
-      }))
-      .filter(task => task.filePath); // Ensure we have the file path
+    const matchedTasks = matchTasks(tasks, changedModels, {
+      matchers: [createDbtMatcher(), createCoalesceMatcher(splitList(coalesce_connection_types))],
+      overrides: loadTaskOverrides(task_mapping_file)
+    });
 
     core.info(`[MAIN] Found ${matchedTasks.length} matched tasks for changed models`);
     matchedTasks.forEach(task => {
-      core.info(`[MAIN] Matched task: ${task.name} (${task.entity}) -> ${task.filePath}`);
+      core.info(`[MAIN] Matched task: ${task.name} (${task.entity}) -> ${task.filePath} [${task.matchedBy}]`);
     });
 
     // Store impacts per file
     const fileImpacts = {};
     const columnImpacts = {}; // New structure for column-level impacts
 
-    // Initialize file impacts structure
-    matchedTasks.forEach(task => {
+    // Initialize file impacts structure (a file may match tasks on several connections)
+    matchedTasks.filter(task => !fileImpacts[task.filePath]).forEach(task => {
       fileImpacts[task.filePath] = {
         direct: [],
         indirect: [],
@@ -378,15 +739,23 @@ const run = async () => {
       };
     });
 
-    // Process impact data for each file
-    for (const task of matchedTasks) {
-      // Get direct impacts (without depth)
-      const directImpact = await getImpactAnalysisData(
-        task.asset_id,
-        task.connection_id,
-        task.entity,
-        true // isDirect = true
-      );
+    // Coalesce column lineage ties DQLabs fields to changed node columns whatever the lineage source
+    const graph = nodeChanges.length > 0 ? buildLineageGraph(projectNodes) : null;
+    const getLocalColumnKeys = (filePath, changedColumnNames) => {
+      const nodeChange = graph && nodeChanges.find(change => change.file === filePath);
+      if (!nodeChange) return new Map();
+      const { directColumns, indirectColumns } = getLocalImpacts(graph, nodeChange, changedColumnNames);
+      return new Map([...indirectColumns, ...directColumns].map(column => [columnKey(column.table_name, column.column_name), column.changed_column]));
+    };
+
+    // Process impact data for each file; tasks run side by side and the shared
+    // client bounds how many DQLabs requests are in flight
+    await Promise.all(matchedTasks.map(async task => {
+      // Get direct impacts (without depth) and indirect impacts (with depth=10)
+      const [directImpact, indirectImpact] = await Promise.all([
+        getImpactAnalysisData(task.asset_id, task.connection_id, task.entity, true),
+        getImpactAnalysisData(task.asset_id, task.connection_id, task.entity, false)
+      ]);
 
       // Filter out the task itself from direct impacts
       const filteredDirectImpact = directImpact
@@ -394,37 +763,24 @@ const run = async () => {
         .filter(Boolean);
 
       fileImpacts[task.filePath].direct.push(...filteredDirectImpact);
-
-      // Get indirect impacts (with depth=10)
-      const indirectImpact = await getImpactAnalysisData(
-        task.asset_id,
-        task.connection_id,
-        task.entity,
-        false // isDirect = false
-      );
-
       fileImpacts[task.filePath].indirect.push(...indirectImpact);
 
       // Get column-level impacts for this task
-      const taskChangedColumns = [
-        ...changedColumns.added.filter(col => col.file === task.filePath).map(col => col.column),
-        ...changedColumns.removed.filter(col => col.file === task.filePath).map(col => col.column)
-      ];
+      // Schema file entries belong to the model they describe
+      const belongsToTask = col => col.file === task.filePath || (col.model && col.model === task.name);
+      const taskChangedColumns = getChangedColumnNames(changedColumns, belongsToTask);
 
       core.info(`[MAIN] Task ${task.name} has ${taskChangedColumns.length} changed columns: [${taskChangedColumns.join(', ')}]`);
 
       if (taskChangedColumns.length > 0) {
         columnImpacts[task.filePath].changedColumns = taskChangedColumns;
 
-        core.info(`[MAIN] Getting direct column-level impacts for ${task.name}`);
-        // Get direct column-level impacts
-        const directColumnImpact = await getColumnLevelImpactAnalysis(
-          task.asset_id,
-          task.connection_id,
-          task.entity,
-          taskChangedColumns,
-          true // isDirect = true
-        );
+        core.info(`[MAIN] Getting direct and indirect column-level impacts for ${task.name}`);
+        const columnMatchOptions = { sourceName: task.name, localColumns: getLocalColumnKeys(task.filePath, taskChangedColumns) };
+        const [directColumnImpact, indirectColumnImpact] = await Promise.all([
+          getColumnLevelImpactAnalysis(task.asset_id, task.connection_id, task.entity, taskChangedColumns, true, columnMatchOptions),
+          getColumnLevelImpactAnalysis(task.asset_id, task.connection_id, task.entity, taskChangedColumns, false, columnMatchOptions)
+        ]);
 
         // Filter out the task itself from direct column impacts
         const filteredDirectColumnImpact = directColumnImpact
@@ -434,21 +790,60 @@ const run = async () => {
         core.info(`[MAIN] Found ${filteredDirectColumnImpact.length} direct column impacts for ${task.name}`);
         columnImpacts[task.filePath].direct.push(...filteredDirectColumnImpact);
 
-        core.info(`[MAIN] Getting indirect column-level impacts for ${task.name}`);
-        // Get indirect column-level impacts
-        const indirectColumnImpact = await getColumnLevelImpactAnalysis(
-          task.asset_id,
-          task.connection_id,
-          task.entity,
-          taskChangedColumns,
-          false // isDirect = false
-        );
-
         core.info(`[MAIN] Found ${indirectColumnImpact.length} indirect column impacts for ${task.name}`);
         columnImpacts[task.filePath].indirect.push(...indirectColumnImpact);
       } else {
         core.info(`[MAIN] No changed columns found for task ${task.name}, skipping column-level analysis`);
       }
+    }));
+
+    // Calls that failed after every retry leave gaps; never present those as "no impact"
+    const analysisIncomplete = dqlabsClient.isIncomplete();
+    if (analysisIncomplete) {
+      core.warning(`[MAIN] Impact analysis is incomplete: ${dqlabsClient.failures.length} DQLabs request(s) failed after retries`);
+    }
+
+    // Merge impacts from the local Coalesce lineage graph
+    if (useLocalLineage && nodeChanges.length > 0) {
+      core.info(`[MAIN] Built local lineage graph with ${graph.nodesById.size} nodes`);
+
+      // Local items already reported by DQLabs are marked as confirmed by both sources
+      const mergeLocal = (existing, localItems, nameOf) => localItems.filter(item => {
+        const match = existing.find(apiItem => (nameOf(apiItem) || '').toLowerCase() === (nameOf(item) || '').toLowerCase());
+        if (match) {
+          match.source = match.source === "local" ? "local" : "both";
+          return false;
+        }
+        return true;
+      });
+
+      nodeChanges.forEach(nodeChange => {
+        const { file, node } = nodeChange;
+        const nodeChangedColumns = getChangedColumnNames(changedColumns, col => col.file === file);
+        const localImpacts = getLocalImpacts(graph, nodeChange, nodeChangedColumns);
+
+        if (!fileImpacts[file]) {
+          fileImpacts[file] = { direct: [], indirect: [], taskName: node.name };
+        }
+        if (!columnImpacts[file]) {
+          columnImpacts[file] = { direct: [], indirect: [], taskName: node.name, changedColumns: [] };
+        }
+        if (columnImpacts[file].changedColumns.length === 0) {
+          columnImpacts[file].changedColumns = nodeChangedColumns;
+        }
+
+        const assetName = item => item?.name;
+        const columnName = item => `${item?.table_name}.${item?.column_name}`;
+        const allAssets = [...fileImpacts[file].direct, ...fileImpacts[file].indirect];
+        const allColumns = [...columnImpacts[file].direct, ...columnImpacts[file].indirect];
+
+        fileImpacts[file].direct.push(...mergeLocal(allAssets, localImpacts.direct, assetName));
+        fileImpacts[file].indirect.push(...mergeLocal(allAssets, localImpacts.indirect, assetName));
+        columnImpacts[file].direct.push(...mergeLocal(allColumns, localImpacts.directColumns, columnName));
+        columnImpacts[file].indirect.push(...mergeLocal(allColumns, localImpacts.indirectColumns, columnName));
+
+        core.info(`[MAIN] Local lineage for ${node.name}: ${localImpacts.direct.length} direct / ${localImpacts.indirect.length} indirect assets, ${localImpacts.directColumns.length} direct / ${localImpacts.indirectColumns.length} indirect columns`);
+      });
     }
 
     // Create unique key function for comparison
@@ -479,9 +874,22 @@ const run = async () => {
       fileImpacts[filePath].indirect = dedup(fileImpacts[filePath].indirect);
     });
 
+    // Current data quality of the impacted DQLabs assets
+    const dqHealthEnabled = dq_health && useApiLineage;
+    const dqHealthStatus = dqHealthEnabled
+      ? await attachAssetHealth(dqHealthClient, fileImpacts, { path: dq_health_path, scoreThreshold: dq_score_threshold })
+      : { requested: 0, failed: 0 };
+    // Project names where the asset maps to a node, otherwise the DQLabs name with its connection
+    const unhealthyAssets = getUnhealthyAssets(fileImpacts, item => {
+      const qualifiedNames = Array.from(new Set(getQualifiedNames(getProjectNodeForItem(item)).map(fqn => fqn.name)));
+      if (qualifiedNames.length > 0) return qualifiedNames.join(', ');
+      return item.connection_id ? `${item.name} on ${item.connection_id}` : item.name;
+    });
+    core.info(`[MAIN] ${unhealthyAssets.length} impacted assets are already unhealthy`);
+
     // Deduplicate column impacts
     const columnUniqueKey = (item) => `${item?.table_name}-${item?.column_name}-${item?.connection_id}`;
-    
+  
     Object.keys(columnImpacts).forEach(filePath => {
       const impacts = columnImpacts[filePath];
       const directKeys = new Set(impacts.direct.map(columnUniqueKey));
@@ -581,7 +989,7 @@ const run = async () => {
           url.pathname = `/observe/pipeline/task/${columnItem.redirect_id}/run`;
           return url.toString();
         }
-        
+      
         return "#";
       } catch (error) {
         core.error(`Error constructing column URL for ${columnItem.table_name}.${columnItem.column_name}: ${error.message}`);
@@ -592,29 +1000,41 @@ const run = async () => {
     // Build the new simplified report structure
     const buildNewAnalysisReport = (fileImpacts, columnImpacts, changedFiles) => {
       let report = "## Impact Analysis Report\n\n";
-      
+
+      if (analysisIncomplete) {
+        report += `> ⚠️ **Analysis incomplete:** ${dqlabsClient.failures.length} DQLabs request(s) failed after retries, so the impacts below may be missing assets or columns.\n\n`;
+        report += `<details>\n<summary><b>Failed requests (${dqlabsClient.failures.length})</b></summary>\n\n`;
+        report += dqlabsClient.failures.map(failure => `- ${failure.label}: ${failure.status ? `HTTP ${failure.status}` : failure.message} after ${failure.attempts} attempt(s)`).join('\n') + '\n';
+        report += `</details>\n\n`;
+      }
+
+      if (configurableKeys.showRiskScore) {
+        report += buildRiskSection(risk);
+      }
+    
       // 1. Changed Files section (always show)
       report += "### Changed Files\n";
       if (changedFiles.length > 0) {
         changedFiles.forEach(file => {
-          report += `- ${file}\n`;
+          const nodeChange = nodeChanges.find(change => change.file === file);
+          report += `- ${file}${formatQualifiedNames(getQualifiedNames(nodeChange?.node))}\n`;
         });
       } else {
         report += "- No files changed\n";
       }
       report += "\n";
-      
+    
       // 2. Asset level Impacts section (only if asset keys are requested)
       const hasAssetKeys = configurableKeys.showDirectAssetCount || configurableKeys.showIndirectAssetCount || 
                            configurableKeys.showDirectAssetList || configurableKeys.showIndirectAssetList;
-      
+    
       if (hasAssetKeys) {
         report += "### Asset level Impacts\n";
-        
+      
         // Calculate totals
         const totalDirectAssets = Object.values(fileImpacts).reduce((sum, impacts) => sum + impacts.direct.length, 0);
         const totalIndirectAssets = Object.values(fileImpacts).reduce((sum, impacts) => sum + impacts.indirect.length, 0);
-        
+      
         // Show count keys first
         if (configurableKeys.showDirectAssetCount) {
           report += `- **Total Directly Impacted:** ${totalDirectAssets}\n`;
@@ -622,7 +1042,13 @@ const run = async () => {
         if (configurableKeys.showIndirectAssetCount) {
           report += `- **Total Indirectly Impacted:** ${totalIndirectAssets}\n`;
         }
-        
+        if (unhealthyAssets.length > 0) {
+          report += `- **⚠️ Already unhealthy:** ${unhealthyAssets.map(asset => `${asset.name} (${asset.reasons.join(', ')})`).join('; ')}\n`;
+        }
+        if (dqHealthStatus.failed > 0) {
+          report += `- *Data quality status unavailable for ${dqHealthStatus.failed} of ${dqHealthStatus.requested} assets*\n`;
+        }
+      
         // Show list keys second (as collapsible sections)
         if (configurableKeys.showDirectAssetList) {
           const directAssets = [];
@@ -630,56 +1056,63 @@ const run = async () => {
             impacts.direct.forEach(model => {
               const url = constructItemUrl(model, dqlabs_createlink_url);
               const modelName = model?.name || 'Unknown';
+              const sourceNote = model?.source === "local" ? " *(local lineage)*" : "";
+              const qualifiedNames = formatQualifiedNames(getQualifiedNames(getProjectNodeForItem(model)));
+              const healthNote = formatHealthNote(model);
               if (model?.connection_id && url !== "#") {
-                directAssets.push(`- [${modelName}](${url})`);
+                directAssets.push(`- [${modelName}](${url})${qualifiedNames}${sourceNote}${healthNote}`);
               } else {
-                directAssets.push(`- ${modelName}`);
+                directAssets.push(`- ${modelName}${qualifiedNames}${sourceNote}${healthNote}`);
               }
             });
           });
-          
+        
           if (directAssets.length > 0) {
             report += `\n<details>\n<summary><b>Directly Impacted Assets (${directAssets.length})</b></summary>\n\n`;
             report += directAssets.join('\n') + '\n';
             report += `</details>\n`;
           }
         }
-        
+      
         if (configurableKeys.showIndirectAssetList) {
           const indirectAssets = [];
           Object.entries(fileImpacts).forEach(([filePath, impacts]) => {
             impacts.indirect.forEach(model => {
               const url = constructItemUrl(model, dqlabs_createlink_url);
               const modelName = model?.name || 'Unknown';
+              const sourceNote = model?.source === "local" ? " *(local lineage)*" : "";
+              const qualifiedNames = formatQualifiedNames(getQualifiedNames(getProjectNodeForItem(model)));
+              const healthNote = formatHealthNote(model);
               if (model?.connection_id && url !== "#") {
-                indirectAssets.push(`- [${modelName}](${url})`);
+                indirectAssets.push(`- [${modelName}](${url})${qualifiedNames}${sourceNote}${healthNote}`);
               } else {
-                indirectAssets.push(`- ${modelName}`);
+                indirectAssets.push(`- ${modelName}${qualifiedNames}${sourceNote}${healthNote}`);
               }
             });
           });
-          
+        
           if (indirectAssets.length > 0) {
             report += `\n<details>\n<summary><b>Indirectly Impacted Assets (${indirectAssets.length})</b></summary>\n\n`;
             report += indirectAssets.join('\n') + '\n';
             report += `</details>\n`;
           }
         }
-        
+      
         report += "\n";
       }
-      
+    
       // 3. Column level Impacts section (only if column keys are requested)
       const hasColumnKeys = configurableKeys.showDirectColumnCount || configurableKeys.showIndirectColumnCount || 
                            configurableKeys.showDirectColumnList || configurableKeys.showIndirectColumnList;
-      
+    
       if (hasColumnKeys) {
         report += "### Column level Impacts\n";
-        
+        const matchNote = (column) => `matched by ${MATCH_LABELS[column?.match_type] || MATCH_LABELS[MATCH_TYPES.NAME]}`;
+      
         // Calculate totals
         const totalDirectColumns = Object.values(columnImpacts).reduce((sum, impacts) => sum + impacts.direct.length, 0);
         const totalIndirectColumns = Object.values(columnImpacts).reduce((sum, impacts) => sum + impacts.indirect.length, 0);
-        
+      
         // Show count keys first
         if (configurableKeys.showDirectColumnCount) {
           report += `- **Total Directly Impacted Columns:** ${totalDirectColumns}\n`;
@@ -687,7 +1120,11 @@ const run = async () => {
         if (configurableKeys.showIndirectColumnCount) {
           report += `- **Total Indirectly Impacted Columns:** ${totalIndirectColumns}\n`;
         }
-        
+        const allImpactedColumns = Object.values(columnImpacts).flatMap(impacts => [...impacts.direct, ...impacts.indirect]);
+        if (allImpactedColumns.length > 0 && (configurableKeys.showDirectColumnCount || configurableKeys.showIndirectColumnCount)) {
+          report += `- **Matched by:** ${summarizeMatchTypes(allImpactedColumns)}\n`;
+        }
+      
         // Show list keys second (as collapsible sections)
         if (configurableKeys.showDirectColumnList) {
           const directColumns = [];
@@ -696,20 +1133,20 @@ const run = async () => {
               const url = constructColumnUrl(column, dqlabs_createlink_url);
               const columnName = `${column?.table_name || 'Unknown'}.${column?.column_name || 'Unknown'}`;
               if (column?.connection_id && url !== "#") {
-                directColumns.push(`- [${columnName}](${url}) - *${column?.impact_type || 'Referenced'}* (${column?.data_type || 'Unknown Type'})`);
+                directColumns.push(`- [${columnName}](${url}) - *${column?.impact_type || 'Referenced'}* (${column?.data_type || 'Unknown Type'}) - ${matchNote(column)}`);
               } else {
-                directColumns.push(`- ${columnName} - *${column?.impact_type || 'Referenced'}* (${column?.data_type || 'Unknown Type'})`);
+                directColumns.push(`- ${columnName} - *${column?.impact_type || 'Referenced'}* (${column?.data_type || 'Unknown Type'}) - ${matchNote(column)}`);
               }
             });
           });
-          
+        
           if (directColumns.length > 0) {
             report += `\n<details>\n<summary><b>Directly Impacted Columns (${directColumns.length})</b></summary>\n\n`;
             report += directColumns.join('\n') + '\n';
             report += `</details>\n`;
           }
         }
-        
+      
         if (configurableKeys.showIndirectColumnList) {
           const indirectColumns = [];
           Object.entries(columnImpacts).forEach(([filePath, impacts]) => {
@@ -717,23 +1154,23 @@ const run = async () => {
               const url = constructColumnUrl(column, dqlabs_createlink_url);
               const columnName = `${column?.table_name || 'Unknown'}.${column?.column_name || 'Unknown'}`;
               if (column?.connection_id && url !== "#") {
-                indirectColumns.push(`- [${columnName}](${url}) - *${column?.impact_type || 'Referenced'}* (${column?.data_type || 'Unknown Type'})`);
+                indirectColumns.push(`- [${columnName}](${url}) - *${column?.impact_type || 'Referenced'}* (${column?.data_type || 'Unknown Type'}) - ${matchNote(column)}`);
               } else {
-                indirectColumns.push(`- ${columnName} - *${column?.impact_type || 'Referenced'}* (${column?.data_type || 'Unknown Type'})`);
+                indirectColumns.push(`- ${columnName} - *${column?.impact_type || 'Referenced'}* (${column?.data_type || 'Unknown Type'}) - ${matchNote(column)}`);
               }
             });
           });
-          
+        
           if (indirectColumns.length > 0) {
             report += `\n<details>\n<summary><b>Indirectly Impacted Columns (${indirectColumns.length})</b></summary>\n\n`;
             report += indirectColumns.join('\n') + '\n';
             report += `</details>\n`;
           }
         }
-        
+      
         report += "\n";
       }
-      
+    
       return report;
     };
 
@@ -744,7 +1181,8 @@ const run = async () => {
       let added = [];
       let removed = [];
 
-      for (const file of changedFiles.filter(f => f && f.endsWith(extension))) {
+      // Coalesce node files are diffed by getCoalesceNodeChanges instead
+      for (const file of changedFiles.filter(f => f && f.endsWith(extension) && !isCoalesceNodeFile(f))) {
         try {
           const baseSha = process.env.GITHUB_BASE_SHA || github.context.payload.pull_request?.base?.sha;
           const headSha = process.env.GITHUB_HEAD_SHA || github.context.payload.pull_request?.head?.sha;
@@ -798,36 +1236,221 @@ const run = async () => {
 
     // Process SQL and YML column changes first
     const { added: sqlAdded, removed: sqlRemoved } = await processColumnChanges(".sql", extractColumnsFromSQL);
-    const { added: ymlAdded, removed: ymlRemoved } = await processColumnChanges(".yml", (content, file) => extractColumnsFromYML(content, file), true);
-    
+    const { changes: ymlChanges, added: ymlAdded, removed: ymlRemoved } = await processColumnChanges(".yml", (content, file) => extractColumnsFromYML(content, file), true);
+  
+    // Jobs and subgraphs that will run changed or downstream nodes
+    const downstreamNodeIds = Object.values(fileImpacts)
+      .flatMap(impacts => [...impacts.direct, ...impacts.indirect])
+      .map(item => (item?.source === "local" ? item.id : projectNodesByName.get((item?.name || '').toLowerCase())?.id))
+      .filter(Boolean);
+    const jobImpacts = analyzeJobs({
+      jobs: loadProjectDocuments("jobs", "Job"),
+      subgraphs: loadProjectDocuments("subgraphs", "Subgraph"),
+      nodes: projectNodes,
+      changedNodeIds: nodeChanges.map(change => change.node.id),
+      downstreamNodeIds
+    });
+    core.info(`[MAIN] ${jobImpacts.jobs.length} jobs and ${jobImpacts.subgraphs.length} subgraphs contain changed or downstream nodes`);
+
+    // Owners of impacted assets from the ownership file and, optionally, the owners already in the DQLabs data
+    const impactedOwners = collectImpactedOwners(fileImpacts, loadOwnershipRules(owners_file), {
+      getNode: getProjectNodeForItem,
+      useEmbeddedOwners: dqlabs_embedded_owners
+    });
+    core.info(`[MAIN] Impacted asset owners: ${impactedOwners.map(entry => entry.owner).join(', ') || 'none'}`);
+
+    // Tests added, removed or disabled on the changed nodes
+    const testCoverageChanges = getTestCoverageChanges(nodeChanges);
+    core.info(`[MAIN] ${testCoverageChanges.length} changed nodes have test changes`);
+
+    // Evaluate the merge policy on the final impacts
+    const policy = evaluatePolicy({ changedColumns, fileImpacts, columnImpacts, testCoverageChanges }, policyConfig);
+    core.info(`[MAIN] Policy result: ${policy.result} (${policy.breakingChanges.length} breaking changes, ${policy.reasons.length} violations)`);
+
+    // Anchor breaking changes to the line that declares the column in the head version
+    const headSha = process.env.GITHUB_HEAD_SHA || github.context.payload.pull_request?.head?.sha;
+    await Promise.all(policy.breakingChanges.map(async col => {
+      col.line = findLineNumber(await getFileContent(headSha, col.file), col.newName || col.column);
+    }));
+
+    // Weigh change types, downstream assets and node settings into a risk score
+    const risk = computeRiskScore({ changedColumns, fileImpacts, nodeChanges }, riskWeights);
+    core.info(`[MAIN] Risk: ${risk.level} (score ${risk.score})`);
+
     // Build the new simplified report
     summary = buildNewAnalysisReport(fileImpacts, columnImpacts, changedFiles);
-    
+    if (configurableKeys.showLineageDiagram) {
+      summary += buildLineageDiagramSection(Object.entries(fileImpacts).map(([filePath, impacts]) => ({
+        filePath,
+        name: impacts.taskName,
+        ...buildLineageDiagram({
+          name: impacts.taskName,
+          direct: impacts.direct,
+          indirect: impacts.indirect,
+          columns: [...safeArray(columnImpacts[filePath]?.direct), ...safeArray(columnImpacts[filePath]?.indirect)],
+          maxNodes: diagram_max_nodes
+        })
+      })));
+    }
+    summary += buildPolicySection(policy);
+    if (configurableKeys.showImpactedOwners) {
+      summary += buildOwnersSection(impactedOwners);
+    }
+  
     // Add SQL and YML Column Changes sections (conditional)
     if (configurableKeys.showSqlColumnChanges) {
       summary += "### SQL Column Changes\n";
       summary += `Added columns(${sqlAdded.length}): ${sqlAdded.join(', ')}\n`;
       summary += `Removed columns(${sqlRemoved.length}): ${sqlRemoved.join(', ')}\n\n`;
     }
-    
+  
     if (configurableKeys.showYmlColumnChanges) {
       summary += "### YML Column Changes\n";
       summary += `Added columns(${ymlAdded.length}): ${ymlAdded.map(c => c.name).join(', ')}\n`;
       summary += `Removed columns(${ymlRemoved.length}): ${ymlRemoved.map(c => c.name).join(', ')}\n\n`;
     }
 
+    if (configurableKeys.showCoalesceColumnChanges && editedNodeChanges.length > 0) {
+      summary += "### Coalesce Node Column Changes\n";
+      editedNodeChanges.forEach(({ file, node, added, removed, modified, renamed, previousFile, previousName }) => {
+        summary += `**${node.locationName ? `${node.locationName}.` : ''}${node.name}** (\`${file}\`)\n`;
+        if (previousName || previousFile) {
+          summary += `- Renamed from ${previousName || node.name}${previousFile ? ` (\`${previousFile}\`)` : ''}\n`;
+        }
+        summary += `- Added columns(${added.length}): ${added.map(c => c.name).join(', ')}\n`;
+        summary += `- Removed columns(${removed.length}): ${removed.map(c => c.name).join(', ')}\n`;
+        summary += `- Modified columns(${modified.length}): ${modified.map(c => `${c.name} (${c.changes.map(ch => ch.attribute).join(', ')})`).join(', ')}\n`;
+        summary += `- Renamed columns(${renamed.length}): ${renamed.map(c => `${c.previousName} → ${c.name}`).join(', ')}\n`;
+      });
+      summary += "\n";
+    }
+
+    if (configurableKeys.showTestCoverageChanges) {
+      summary += buildTestCoverageSection(testCoverageChanges);
+    }
+
+    const formatChangeValue = (value) => {
+      if (value === undefined || value === null || value === "") return "*(empty)*";
+      return `\`${String(value).replace(/\s+/g, " ").trim().replace(/`/g, "'")}\``;
+    };
+
+    if (configurableKeys.showNodeTypeChanges && nodeTypeChanges.length > 0) {
+      summary += "### Node type changes\n";
+      nodeTypeChanges.forEach(nodeTypeChange => {
+        summary += `**${nodeTypeChange.id}** (${nodeTypeChange.files.map(file => `\`${path.basename(file)}\``).join(', ')}) - inherited by ${nodeTypeChange.nodes.length} node(s)\n`;
+        nodeTypeChange.nodes.forEach(node => {
+          const impacts = fileImpacts[node.file] || { direct: [], indirect: [] };
+          summary += `- ${node.locationName ? `${node.locationName}.` : ''}${node.name}: ${impacts.direct.length} directly / ${impacts.indirect.length} indirectly impacted assets\n`;
+        });
+      });
+      summary += "\n";
+    }
+
+    if (configurableKeys.showPackageChanges && packageChanges.length > 0) {
+      summary += "### Package changes\n";
+      packageChanges.forEach(packageChange => {
+        const release = packageChange.release ? ` - release ${packageChange.release.before ?? 'none'} → ${packageChange.release.after ?? 'none'}` : '';
+        summary += `**${packageChange.name || packageChange.id}** (\`${packageChange.file}\`)${release} - used by ${packageChange.nodes.length} node(s)\n`;
+        packageChange.nodeTypeChanges.forEach(nodeTypeChange => {
+          const detail = nodeTypeChange.before !== undefined ? ` (${nodeTypeChange.before || 'none'} → ${nodeTypeChange.after || 'none'})` : '';
+          summary += `- Node type ${nodeTypeChange.id}: ${nodeTypeChange.change}${detail}\n`;
+        });
+        packageChange.nodes.forEach(node => {
+          const impacts = fileImpacts[node.file] || { direct: [], indirect: [] };
+          summary += `- ${node.locationName ? `${node.locationName}.` : ''}${node.name}: ${impacts.direct.length} directly / ${impacts.indirect.length} indirectly impacted assets\n`;
+        });
+      });
+      summary += "\n";
+    }
+
+    const packageVariableChanges = packageChanges.filter(packageChange => packageChange.packageVariables);
+    if (configurableKeys.showPackageVariables && packageVariableChanges.length > 0) {
+      summary += "### Package variables\n";
+      packageVariableChanges.forEach(packageChange => {
+        const { before, after } = packageChange.packageVariables;
+        summary += `**${packageChange.name || packageChange.id}** (\`${packageChange.file}\`)\n`;
+        summary += "```diff\n" + diffPackageVariables(before, after).join("\n") + "\n```\n";
+      });
+      summary += "\n";
+    }
+
+    if (configurableKeys.showJobsAffected && (jobImpacts.jobs.length > 0 || jobImpacts.subgraphs.length > 0)) {
+      const nodeNames = nodes => nodes.map(node => node.name).join(', ') || '-';
+      summary += "### Jobs & Subgraphs affected\n";
+      jobImpacts.jobs.forEach(({ job, changedNodes, downstreamNodes, subgraphs }) => {
+        summary += `- **${job.name}** (\`${job.file}\`)\n`;
+        summary += `  - Changed nodes(${changedNodes.length}): ${nodeNames(changedNodes)}\n`;
+        summary += `  - Downstream nodes(${downstreamNodes.length}): ${nodeNames(downstreamNodes)}\n`;
+        summary += `  - Subgraphs: ${subgraphs.join(', ') || '-'}\n`;
+      });
+      jobImpacts.subgraphs.forEach(({ subgraph, changedNodes, downstreamNodes }) => {
+        summary += `- Subgraph **${subgraph.name}**: changed ${nodeNames(changedNodes)}; downstream ${nodeNames(downstreamNodes)}\n`;
+      });
+      summary += "\n";
+    }
+
+    if (configurableKeys.showModifiedColumnChanges && changedColumns.modified.length > 0) {
+      summary += `### Modified Columns (${changedColumns.modified.length})\n`;
+      changedColumns.modified.forEach(modifiedColumn => {
+        const owner = modifiedColumn.node || modifiedColumn.model || path.basename(modifiedColumn.file, path.extname(modifiedColumn.file));
+        const diff = safeArray(modifiedColumn.changes)
+          .map(change => `${change.attribute} ${formatChangeValue(change.before)} → ${formatChangeValue(change.after)}`)
+          .join('; ');
+        const { direct, indirect } = getImpactsForChangedColumn(columnImpacts, modifiedColumn);
+
+        summary += `- **${owner}.${modifiedColumn.column}** (\`${modifiedColumn.file}\`): ${diff}\n`;
+        summary += `  - Directly impacted columns(${direct.length}): ${direct.map(c => `${c.table_name}.${c.column_name}`).join(', ')}\n`;
+        summary += `  - Indirectly impacted columns(${indirect.length}): ${indirect.map(c => `${c.table_name}.${c.column_name}`).join(', ')}\n`;
+      });
+      summary += "\n";
+    }
+
     // Generate comprehensive JSON file with all data (regardless of configurable keys)
     const generateComprehensiveJSON = (fileImpacts, columnImpacts, changedFiles, sqlAdded, sqlRemoved, ymlAdded, ymlRemoved) => {
       const jsonData = {
+        schema_version: OUTPUT_SCHEMA_VERSIONS.json,
         metadata: {
           timestamp: new Date().toISOString(),
           commit_sha: github.context.sha,
           pull_request_number: github.context.payload.pull_request?.number || null,
           configurable_keys_used: dqlabs_configurable_keys ? dqlabs_configurable_keys.split(',').map(k => k.trim()) : [],
           dqlabs_base_url: dqlabs_base_url,
-          analysis_type: "dbt_impact_analysis"
+          analysis_type: "dbt_impact_analysis",
+          lineage_source: lineage_source,
+          report_environments: reportEnvironments.map(environment => environment.name),
+          analysis_complete: !analysisIncomplete,
+          dq_health: {
+            enabled: dqHealthEnabled,
+            requested_assets: dqHealthStatus.requested,
+            failed_requests: dqHealthStatus.failed
+          },
+          failed_requests: dqlabsClient.failures.map(failure => ({
+            label: failure.label,
+            path: failure.path,
+            status: failure.status,
+            message: failure.message,
+            attempts: failure.attempts
+          }))
         },
         changed_files: changedFiles,
+        risk: {
+          score: risk.score,
+          level: risk.level,
+          nodes: risk.nodes
+        },
+        policy: {
+          mode: policy.mode,
+          result: policy.result,
+          reasons: policy.reasons,
+          breaking_changes: policy.breakingChanges.map(col => ({
+            file_path: col.file,
+            model_name: col.node || col.model || null,
+            column_name: col.column,
+            reason: col.reason,
+            line: col.line,
+            direct_consumers: col.consumers.map(item => `${item.table_name}.${item.column_name}`)
+          }))
+        },
         asset_impacts: {
           direct: [],
           indirect: []
@@ -844,6 +1467,106 @@ const run = async () => {
           added: ymlAdded.map(c => c.name),
           removed: ymlRemoved.map(c => c.name)
         },
+        coalesce_column_changes: editedNodeChanges.map(({ file, node, added, removed, modified, renamed, previousFile, previousName }) => ({
+          file_path: file,
+          previous_file_path: previousFile,
+          node_id: node.id,
+          node_name: node.name,
+          previous_node_name: previousName,
+          location_name: node.locationName,
+          fully_qualified_names: getQualifiedNames(node),
+          added: added.map(c => ({ name: c.name, data_type: c.dataType })),
+          removed: removed.map(c => ({ name: c.name, data_type: c.dataType })),
+          modified: modified.map(c => ({ name: c.name, changes: c.changes })),
+          renamed: renamed.map(c => ({ previous_name: c.previousName, name: c.name, changes: c.changes }))
+        })),
+        test_coverage_changes: testCoverageChanges.map(entry => ({
+          file_path: entry.file,
+          node_name: entry.node,
+          location_name: entry.locationName,
+          tags: entry.tags,
+          coverage_reduced: getCoverageLosses(entry).length > 0,
+          changes: entry.changes.map(change => ({
+            column_name: change.column,
+            test: change.test,
+            change: change.change,
+            detail: change.detail
+          }))
+        })),
+        node_type_changes: nodeTypeChanges.map(nodeTypeChange => ({
+          node_type_id: nodeTypeChange.id,
+          directory: nodeTypeChange.directory,
+          changed_files: nodeTypeChange.files,
+          affected_nodes: nodeTypeChange.nodes.map(node => ({
+            node_id: node.id,
+            node_name: node.name,
+            location_name: node.locationName,
+            file_path: node.file,
+            direct_impacts: (fileImpacts[node.file]?.direct || []).map(item => item.name),
+            indirect_impacts: (fileImpacts[node.file]?.indirect || []).map(item => item.name)
+          }))
+        })),
+        package_changes: packageChanges.map(packageChange => ({
+          package_id: packageChange.id,
+          package_name: packageChange.name,
+          file_path: packageChange.file,
+          release_before: packageChange.release?.before ?? null,
+          release_after: packageChange.release?.after ?? null,
+          node_type_changes: packageChange.nodeTypeChanges.map(nodeTypeChange => ({
+            node_type_id: nodeTypeChange.id,
+            change: nodeTypeChange.change,
+            before: nodeTypeChange.before ?? null,
+            after: nodeTypeChange.after ?? null
+          })),
+          affected_node_type_ids: packageChange.affectedNodeTypeIds,
+          affected_nodes: packageChange.nodes.map(node => ({
+            node_id: node.id,
+            node_name: node.name,
+            location_name: node.locationName,
+            file_path: node.file,
+            direct_impacts: (fileImpacts[node.file]?.direct || []).map(item => item.name),
+            indirect_impacts: (fileImpacts[node.file]?.indirect || []).map(item => item.name)
+          }))
+        })),
+        package_variable_changes: packageVariableChanges.map(packageChange => ({
+          package_id: packageChange.id,
+          file_path: packageChange.file,
+          before: packageChange.packageVariables.before,
+          after: packageChange.packageVariables.after
+        })),
+        impacted_owners: impactedOwners.map(({ owner, direct, indirect }) => ({
+          owner,
+          direct_assets: direct,
+          indirect_assets: indirect
+        })),
+        jobs_affected: jobImpacts.jobs.map(({ job, changedNodes, downstreamNodes, subgraphs }) => ({
+          job_id: String(job.id ?? ""),
+          job_name: job.name,
+          file_path: job.file,
+          include_selector: job.includeSelector || "",
+          exclude_selector: job.excludeSelector || "",
+          changed_nodes: changedNodes.map(node => node.name),
+          downstream_nodes: downstreamNodes.map(node => node.name),
+          subgraphs
+        })),
+        subgraphs_affected: jobImpacts.subgraphs.map(({ subgraph, changedNodes, downstreamNodes }) => ({
+          subgraph_id: String(subgraph.id ?? ""),
+          subgraph_name: subgraph.name,
+          file_path: subgraph.file,
+          changed_nodes: changedNodes.map(node => node.name),
+          downstream_nodes: downstreamNodes.map(node => node.name)
+        })),
+        modified_columns: changedColumns.modified.map(modifiedColumn => {
+          const { direct, indirect } = getImpactsForChangedColumn(columnImpacts, modifiedColumn);
+          return {
+            file_path: modifiedColumn.file,
+            model_name: modifiedColumn.node || modifiedColumn.model || path.basename(modifiedColumn.file, path.extname(modifiedColumn.file)),
+            column_name: modifiedColumn.column,
+            changes: safeArray(modifiedColumn.changes),
+            direct_impacts: direct.map(c => ({ table_name: c.table_name, column_name: c.column_name, data_type: c.data_type })),
+            indirect_impacts: indirect.map(c => ({ table_name: c.table_name, column_name: c.column_name, data_type: c.data_type }))
+          };
+        }),
         summary: {
           total_direct_assets: 0,
           total_indirect_assets: 0,
@@ -853,6 +1576,17 @@ const run = async () => {
           total_sql_removed: sqlRemoved.length,
           total_yml_added: ymlAdded.length,
           total_yml_removed: ymlRemoved.length,
+          total_coalesce_added: editedNodeChanges.reduce((sum, change) => sum + change.added.length, 0),
+          total_coalesce_removed: editedNodeChanges.reduce((sum, change) => sum + change.removed.length, 0),
+          total_coalesce_modified: editedNodeChanges.reduce((sum, change) => sum + change.modified.length, 0),
+          total_node_type_changes: nodeTypeChanges.length,
+          total_package_changes: packageChanges.length,
+          total_test_coverage_losses: policy.testCoverageLosses.reduce((sum, entry) => sum + entry.losses.length, 0),
+          total_jobs_affected: jobImpacts.jobs.length,
+          total_impacted_owners: impactedOwners.length,
+          total_unhealthy_assets: unhealthyAssets.length,
+          total_modified_columns: changedColumns.modified.length,
+          total_renamed_columns: changedColumns.renamed.length,
           total_changed_files: changedFiles.length
         }
       };
@@ -865,7 +1599,10 @@ const run = async () => {
             file_path: filePath,
             model_name: model.name,
             task_name: impacts.taskName,
-            redirect_url: redirectUrl
+            redirect_url: redirectUrl,
+            fully_qualified_names: getQualifiedNames(getProjectNodeForItem(model)),
+            lineage_source: model.source || "dqlabs",
+            ...toHealthFields(model)
           });
         });
 
@@ -875,7 +1612,10 @@ const run = async () => {
             file_path: filePath,
             model_name: model.name,
             task_name: impacts.taskName,
-            redirect_url: redirectUrl
+            redirect_url: redirectUrl,
+            fully_qualified_names: getQualifiedNames(getProjectNodeForItem(model)),
+            lineage_source: model.source || "dqlabs",
+            ...toHealthFields(model)
           });
         });
       });
@@ -890,7 +1630,9 @@ const run = async () => {
             column_name: column.column_name,
             data_type: column.data_type,
             task_name: impacts.taskName,
-            redirect_url: redirectUrl
+            redirect_url: redirectUrl,
+            lineage_source: column.source || "dqlabs",
+            match_type: column.match_type || MATCH_TYPES.NAME
           });
         });
 
@@ -902,7 +1644,9 @@ const run = async () => {
             column_name: column.column_name,
             data_type: column.data_type,
             task_name: impacts.taskName,
-            redirect_url: redirectUrl
+            redirect_url: redirectUrl,
+            lineage_source: column.source || "dqlabs",
+            match_type: column.match_type || MATCH_TYPES.NAME
           });
         });
       });
@@ -913,82 +1657,194 @@ const run = async () => {
       jsonData.summary.total_direct_columns = jsonData.column_impacts.direct.length;
       jsonData.summary.total_indirect_columns = jsonData.column_impacts.indirect.length;
 
-      return JSON.stringify(jsonData, null, 2);
+      return jsonData;
     };
 
     // Generate comprehensive JSON data
-    const comprehensiveJsonData = generateComprehensiveJSON(fileImpacts, columnImpacts, changedFiles, sqlAdded, sqlRemoved, ymlAdded, ymlRemoved);
+    const comprehensiveReport = generateComprehensiveJSON(fileImpacts, columnImpacts, changedFiles, sqlAdded, sqlRemoved, ymlAdded, ymlRemoved);
+
+    return { summary, comprehensiveReport, policy, risk, impactedOwners, changedColumns, ymlChanges, columnImpacts };
+  } catch (error) {
+    core.error(`[analyze] Analysis failed: ${error.message}`);
+    throw error;
+  }
+};
 
-    // Post or update comment
+const run = async () => {
+  try {
+    loadInputs();
+    const analysis = await analyze();
+    const { comprehensiveReport, policy, risk, impactedOwners, changedColumns, ymlChanges, columnImpacts } = analysis;
+    let { summary } = analysis;
+
+    // Compare with the run state stored in this configuration's previous comment
+    const runState = buildRunState(comprehensiveReport, process.env.GITHUB_HEAD_SHA || github.context.payload.pull_request?.head?.sha || github.context.sha);
+    let existingComments = new Map();
+    if (github.context.payload.pull_request) {
+      try {
+        const octokit = github.getOctokit(githubToken);
+        const { owner, repo } = github.context.repo;
+        existingComments = await findReportComments(octokit, {
+          owner,
+          repo,
+          issue_number: github.context.payload.pull_request.number,
+          commentKey: comment_key
+        });
+        const previousState = decodeRunState(existingComments.get(1)?.body);
+        if (previousState) {
+          const changesSinceLastRun = diffRunStates(previousState, runState);
+          comprehensiveReport.changes_since_last_run = changesSinceLastRun;
+          summary = summary.replace("## Impact Analysis Report\n\n", heading => heading + buildChangesSinceLastRunSection(changesSinceLastRun));
+        }
+      } catch (error) {
+        core.warning(`[MAIN] Could not read the previous impact analysis comment: ${error.message}`);
+      }
+    }
+    const comprehensiveJsonData = JSON.stringify(comprehensiveReport, null, 2);
+
+    // Machine-readable copies of the report for code scanning, CI dashboards and spreadsheets
+    const reportPaths = writeReportFiles(comprehensiveReport, {
+      formats: output_formats,
+      outputDir: path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), output_dir)
+    });
+
+    // Post or update the comment, split into several when the report exceeds GitHub's size limit
     if (github.context.payload.pull_request) {
       try {
         const octokit = github.getOctokit(githubToken);
         const { owner, repo } = github.context.repo;
         const issue_number = github.context.payload.pull_request.number;
-        
-        // Get existing comments to find our bot's comment
-        const comments = await octokit.rest.issues.listComments({
+        const detailsUrl = `${process.env.GITHUB_SERVER_URL || "https://github.com"}/${owner}/${repo}/actions/runs/${github.context.runId}`;
+
+        const stateMarker = encodeRunState(runState);
+
+        const { parts } = renderCommentParts(summary, comprehensiveJsonData, { detailsUrl, budget: COMMENT_BUDGET - stateMarker.length });
+        await postCommentParts(octokit, {
           owner,
           repo,
           issue_number,
+          parts,
+          existingByPart: existingComments,
+          commentKey: comment_key,
+          stateMarker
         });
-        
-        // Find existing comment from github-actions[bot] with our impact analysis
-        const existingComment = comments.data.find(comment => 
-          comment.user.type === 'Bot' && 
-          comment.user.login === 'github-actions[bot]' &&
-          comment.body.includes('## Impact Analysis Report')
-        );
-        
-        // Add JSON data as collapsible section
-        let finalSummary = summary;
-        finalSummary += "\n### 📎 Complete Impact Analysis Data\n";
-        finalSummary += `<details>\n<summary><b>View Complete JSON Data</b></summary>\n\n`;
-        finalSummary += "```json\n";
-        finalSummary += comprehensiveJsonData;
-        finalSummary += "\n```\n\n";
-        finalSummary += "*This JSON contains all impact analysis data regardless of display preferences.*\n";
-        finalSummary += `</details>\n\n`;
-        
-        // Create or update comment with the JSON data
-        if (existingComment) {
-          core.info(`Updating existing comment ${existingComment.id} with JSON data`);
-          await octokit.rest.issues.updateComment({
-            owner,
-            repo,
-            comment_id: existingComment.id,
-            body: finalSummary,
-          });
-          core.info('Successfully updated existing impact analysis comment');
-        } else {
-          core.info('Creating new impact analysis comment with JSON data');
-          await octokit.rest.issues.createComment({
+      } catch (error) {
+        core.error(`Failed to post/update comment: ${error.message}`);
+      }
+    }
+
+    // Ask the owners of directly impacted assets to review
+    if (request_owner_reviews && github.context.payload.pull_request) {
+      const { reviewers, team_reviewers } = splitReviewers(
+        impactedOwners.filter(entry => entry.direct.length > 0).map(entry => entry.owner),
+        github.context.payload.pull_request.user?.login
+      );
+      if (reviewers.length > 0 || team_reviewers.length > 0) {
+        try {
+          const octokit = github.getOctokit(githubToken);
+          const { owner, repo } = github.context.repo;
+          await octokit.rest.pulls.requestReviewers({
             owner,
             repo,
-            issue_number,
-            body: finalSummary,
+            pull_number: github.context.payload.pull_request.number,
+            reviewers,
+            team_reviewers
           });
-          core.info('Successfully created new impact analysis comment');
+          core.info(`[MAIN] Requested reviews from ${[...reviewers, ...team_reviewers].join(', ')}`);
+        } catch (error) {
+          core.warning(`[MAIN] Failed to request owner reviews: ${error.message}`);
         }
-        
+      }
+    }
+
+    // Check run with an annotation on the line of every changed column
+    if (check_run && githubToken) {
+      try {
+        const octokit = github.getOctokit(githubToken);
+        const { owner, repo } = github.context.repo;
+        const headSha = process.env.GITHUB_HEAD_SHA || github.context.payload.pull_request?.head?.sha || github.context.sha;
+
+        const columnEntries = [
+          ...changedColumns.added.map(col => ({ ...col, kind: "added" })),
+          ...changedColumns.removed.map(col => ({ ...col, kind: "removed" })),
+          ...changedColumns.modified.map(col => ({ ...col, kind: "modified" })),
+          ...changedColumns.renamed.map(col => ({ ...col, kind: "renamed" })),
+          ...ymlChanges.flatMap(({ file, added, removed }) => [
+            ...added.map(column => ({ column, file, kind: "added" })),
+            ...removed.map(column => ({ column, file, kind: "removed" }))
+          ])
+        ];
+
+        // Removed columns no longer exist in the head file, so they point at the node or model that lost them.
+        // Files deleted in head cannot carry annotations.
+        const contents = new Map();
+        const readHeadFile = async (file) => {
+          if (!contents.has(file)) contents.set(file, await getFileContent(headSha, file));
+          return contents.get(file);
+        };
+        const annotatedEntries = [];
+        for (const entry of columnEntries.filter(entry => entry.file)) {
+          const headContent = await readHeadFile(entry.file);
+          if (headContent === null) continue;
+          const owner = entry.node || entry.model;
+          if (entry.kind === "removed") {
+            entry.line = owner ? findLineNumber(headContent, owner) : 1;
+          } else {
+            entry.line = findLineNumber(headContent, entry.newName || entry.column);
+          }
+          annotatedEntries.push(entry);
+        }
+
+        const annotations = buildColumnAnnotations(annotatedEntries, columnImpacts);
+        const conclusion = { fail: "failure", warn: "neutral" }[policy.result] || "success";
+        await publishCheckRun(octokit, {
+          owner,
+          repo,
+          headSha,
+          name: check_run_name,
+          title: `${annotations.length} changed column(s), ${policy.breakingChanges.length} breaking`,
+          summary,
+          conclusion,
+          annotations
+        });
       } catch (error) {
-        core.error(`Failed to post/update comment: ${error.message}`);
+        core.warning(`[MAIN] Failed to publish check run (needs "checks: write" permission): ${error.message}`);
       }
     }
 
-    // Output results
+    // Output results; the job summary also carries the complete JSON when it fits
     await core.summary
-      .addRaw(summary)
+      .addRaw(renderJobSummary(summary, comprehensiveJsonData, reportPaths.impact_json_path))
       .write();
 
     core.setOutput("impact_markdown", summary);
+    core.setOutput("breaking_change_count", policy.breakingChanges.length);
+    core.setOutput("policy_result", policy.result);
+    core.setOutput("risk_level", risk.level);
+    core.setOutput("impacted_owners", impactedOwners.map(entry => entry.owner).join(','));
+    Object.entries(reportPaths).forEach(([outputName, filePath]) => core.setOutput(outputName, filePath));
+
+    if (policy.result === "fail") {
+      core.setFailed(`Impact analysis policy failed:\n${policy.reasons.map(reason => `- ${reason}`).join('\n')}`);
+    } else if (policy.result === "warn") {
+      policy.reasons.forEach(reason => core.warning(`[POLICY] ${reason}`));
+    }
   } catch (error) {
     core.setFailed(`[MAIN] Unhandled error: ${error.message}`);
     core.error(error.stack);
   }
 };
 
-// Execute
-run().catch(error => {
-  core.setFailed(`[UNCAUGHT] Critical failure: ${error.message}`);
-});
+// Execute when run as the action entry point; the CLI requires this module instead
+if (require.main === module) {
+  run().catch(error => {
+    core.setFailed(`[UNCAUGHT] Critical failure: ${error.message}`);
+  });
+}
+
+module.exports = {
+  loadInputs,
+  analyze,
+  getNodeTypeChanges,
+  getPackageChanges
+};
@@ -0,0 +1,106 @@
+const core = require("@actions/core");
+const { safeArray, wildcardMatches } = require("./utils");
+
+const SELECTOR_KEYS = ["subgraph", "name", "location", "tag"];
+
+const unquoteValue = (value) => String(value || "").trim().replace(/^["']|["']$/g, "");
+
+// "{ subgraph: A } OR { location: SRC name: CUSTOMER* }" -> [[{key, value}], [{key, value}, {key, value}]]
+// Terms inside one pair of braces must all match; separate braces are alternatives
+const parseSelector = (expression) => {
+  const clauses = [];
+  const clausePattern = /\{([^}]*)\}/g;
+  let clauseMatch;
+
+  while ((clauseMatch = clausePattern.exec(String(expression || ""))) !== null) {
+    const terms = [];
+    const termPattern = /(\w+)\s*:\s*("[^"]*"|'[^']*'|[^\s}]+)/g;
+    let termMatch;
+    while ((termMatch = termPattern.exec(clauseMatch[1])) !== null) {
+      const key = termMatch[1].toLowerCase();
+      if (!SELECTOR_KEYS.includes(key)) {
+        core.warning(`[parseSelector] Unsupported selector term "${termMatch[1]}" in ${expression}`);
+      }
+      terms.push({ key, value: unquoteValue(termMatch[2]) });
+    }
+    if (terms.length > 0) clauses.push(terms);
+  }
+
+  return clauses;
+};
+
+const termMatches = (term, node, subgraphsByNodeId) => {
+  switch (term.key) {
+    case "subgraph":
+      return safeArray(subgraphsByNodeId.get(node.id)).some(subgraph => wildcardMatches(term.value, subgraph.name));
+    case "name":
+      return wildcardMatches(term.value, node.name);
+    case "location":
+      return wildcardMatches(term.value, node.locationName);
+    case "tag":
+      return safeArray(node.tags).some(tag => wildcardMatches(term.value, tag));
+    default:
+      return false;
+  }
+};
+
+const selectorMatches = (clauses, node, subgraphsByNodeId) =>
+  clauses.some(terms => terms.every(term => termMatches(term, node, subgraphsByNodeId)));
+
+const indexSubgraphsByNode = (subgraphs) => {
+  const subgraphsByNodeId = new Map();
+  safeArray(subgraphs).forEach(subgraph => {
+    safeArray(subgraph.steps).forEach(stepId => {
+      if (!subgraphsByNodeId.has(stepId)) subgraphsByNodeId.set(stepId, []);
+      subgraphsByNodeId.get(stepId).push(subgraph);
+    });
+  });
+  return subgraphsByNodeId;
+};
+
+// Nodes a job runs: an empty include selector means every node, excludes are removed afterwards
+const selectJobNodes = (job, nodes, subgraphs) => {
+  const subgraphsByNodeId = indexSubgraphsByNode(subgraphs);
+  const include = parseSelector(job?.includeSelector);
+  const exclude = parseSelector(job?.excludeSelector);
+
+  return safeArray(nodes).filter(node =>
+    (include.length === 0 || selectorMatches(include, node, subgraphsByNodeId)) &&
+    !(exclude.length > 0 && selectorMatches(exclude, node, subgraphsByNodeId)));
+};
+
+// Which jobs and subgraphs contain changed or downstream nodes
+const analyzeJobs = ({ jobs, subgraphs, nodes, changedNodeIds, downstreamNodeIds }) => {
+  const changed = new Set(changedNodeIds);
+  const downstream = new Set(safeArray(downstreamNodeIds).filter(id => !changed.has(id)));
+  const nodesById = new Map(safeArray(nodes).map(node => [node.id, node]));
+  const describe = (ids) => ids.map(id => nodesById.get(id)).filter(Boolean);
+  const subgraphsByNodeId = indexSubgraphsByNode(subgraphs);
+
+  const affectedJobs = safeArray(jobs)
+    .map(job => {
+      const jobNodeIds = selectJobNodes(job, nodes, subgraphs).map(node => node.id);
+      const changedNodes = describe(jobNodeIds.filter(id => changed.has(id)));
+      const downstreamNodes = describe(jobNodeIds.filter(id => downstream.has(id)));
+      const jobSubgraphs = Array.from(new Set([...changedNodes, ...downstreamNodes]
+        .flatMap(node => safeArray(subgraphsByNodeId.get(node.id)).map(subgraph => subgraph.name))));
+      return { job, changedNodes, downstreamNodes, subgraphs: jobSubgraphs };
+    })
+    .filter(entry => entry.changedNodes.length > 0 || entry.downstreamNodes.length > 0);
+
+  const affectedSubgraphs = safeArray(subgraphs)
+    .map(subgraph => ({
+      subgraph,
+      changedNodes: describe(safeArray(subgraph.steps).filter(id => changed.has(id))),
+      downstreamNodes: describe(safeArray(subgraph.steps).filter(id => downstream.has(id)))
+    }))
+    .filter(entry => entry.changedNodes.length > 0 || entry.downstreamNodes.length > 0);
+
+  return { jobs: affectedJobs, subgraphs: affectedSubgraphs };
+};
+
+module.exports = {
+  parseSelector,
+  selectJobNodes,
+  analyzeJobs
+};
@@ -0,0 +1,132 @@
+const { safeArray } = require("./utils");
+
+const ASSET_GROUPS = ["data", "pipeline", "report"];
+const MAX_EDGE_COLUMNS = 3;
+
+const CLASS_DEFS = [
+  "classDef changed fill:#fde68a,stroke:#b45309,stroke-width:2px",
+  "classDef data fill:#dbeafe,stroke:#1d4ed8",
+  "classDef pipeline fill:#dcfce7,stroke:#15803d",
+  "classDef report fill:#fce7f3,stroke:#be185d",
+  "classDef collapsed fill:#f3f4f6,stroke:#6b7280,stroke-dasharray:4 2"
+];
+
+// Mermaid labels are quoted; quotes and angle brackets are written as numeric entity codes
+const escapeLabel = (text) => String(text ?? "").replace(/["<>]/g, char => `#${char.charCodeAt(0)};`);
+
+const assetGroupOf = (item) => (ASSET_GROUPS.includes(item?.asset_group) ? item.asset_group : "data");
+
+// API items carry depth; local items too. Direct consumers are depth 1 and indirect ones at least 2
+const layerOf = (item, isDirect) => {
+  if (isDirect) return 1;
+  const depth = Number(item?.depth);
+  return Number.isFinite(depth) && depth >= 2 ? depth : 2;
+};
+
+const isDownstream = (item) => !item?.flow || item.flow === "downstream";
+
+const edgeLabel = (columns) => {
+  if (columns.length === 0) return "";
+  const shown = columns.slice(0, MAX_EDGE_COLUMNS).join(", ");
+  return columns.length > MAX_EDGE_COLUMNS ? `${shown} +${columns.length - MAX_EDGE_COLUMNS}` : shown;
+};
+
+// Changed columns that reached each impacted table, keyed by lower-cased table name
+const changedColumnsByTable = (columns) => {
+  const byTable = new Map();
+  safeArray(columns).forEach(column => {
+    const key = String(column?.table_name || "").toLowerCase();
+    if (!key || !column.changed_column) return;
+    if (!byTable.has(key)) byTable.set(key, new Set());
+    byTable.get(key).add(column.changed_column);
+  });
+  return byTable;
+};
+
+// Mermaid flowchart of one changed node: the node, its direct consumers, then one subgraph per
+// further depth. Assets beyond maxNodes are collapsed into one node per depth and asset group.
+const buildLineageDiagram = ({ name, direct, indirect, columns, maxNodes = 25 }) => {
+  const layers = new Map();
+  const addItem = (item, isDirect) => {
+    if (!isDownstream(item)) return;
+    const layer = layerOf(item, isDirect);
+    if (!layers.has(layer)) layers.set(layer, []);
+    layers.get(layer).push(item);
+  };
+  safeArray(direct).forEach(item => addItem(item, true));
+  safeArray(indirect).forEach(item => addItem(item, false));
+  if (layers.size === 0) return null;
+
+  const columnsByTable = changedColumnsByTable(columns);
+  const layerNumbers = Array.from(layers.keys()).sort((a, b) => a - b);
+  const lines = ["flowchart LR", `  n0["${escapeLabel(name)}"]:::changed`];
+  const edges = [];
+  let budget = Math.max(1, maxNodes);
+  let nextId = 1;
+  let collapsedCount = 0;
+
+  layerNumbers.forEach(layer => {
+    const items = layers.get(layer);
+    const shown = items.slice(0, budget);
+    const hidden = items.slice(shown.length);
+    budget -= shown.length;
+    collapsedCount += hidden.length;
+
+    lines.push(`  subgraph d${layer}["${layer === 1 ? "Direct consumers" : `Depth ${layer}`}"]`);
+    shown.forEach(item => {
+      const id = `n${nextId++}`;
+      lines.push(`    ${id}["${escapeLabel(item.name || item.asset_name || "Unknown")}"]:::${assetGroupOf(item)}`);
+      if (layer === 1) {
+        const label = edgeLabel(Array.from(columnsByTable.get(String(item.name || "").toLowerCase()) || []));
+        edges.push(label ? `  n0 -->|"${escapeLabel(label)}"| ${id}` : `  n0 --> ${id}`);
+      }
+    });
+    ASSET_GROUPS.forEach(group => {
+      const count = hidden.filter(item => assetGroupOf(item) === group).length;
+      if (count === 0) return;
+      const id = `n${nextId++}`;
+      lines.push(`    ${id}["+${count} more ${group} asset${count === 1 ? "" : "s"}"]:::collapsed`);
+      if (layer === 1) edges.push(`  n0 --> ${id}`);
+    });
+    lines.push("  end");
+  });
+
+  // The API reports how deep an asset is, not which asset it hangs off, so deeper layers link layer to layer
+  layerNumbers.forEach((layer, index) => {
+    if (index === 0) {
+      if (layer !== 1) edges.push(`  n0 -.-> d${layer}`);
+      return;
+    }
+    const columnsInLayer = Array.from(new Set(layers.get(layer)
+      .flatMap(item => Array.from(columnsByTable.get(String(item.name || "").toLowerCase()) || []))));
+    const label = edgeLabel(columnsInLayer);
+    edges.push(label ? `  d${layerNumbers[index - 1]} -.->|"${escapeLabel(label)}"| d${layer}` : `  d${layerNumbers[index - 1]} -.-> d${layer}`);
+  });
+
+  return {
+    mermaid: [...lines, ...edges, ...CLASS_DEFS.map(def => `  ${def}`)].join("\n"),
+    collapsedCount
+  };
+};
+
+// One diagram per changed node that has downstream impacts
+const buildLineageDiagramSection = (diagrams) => {
+  const rendered = safeArray(diagrams).filter(diagram => diagram?.mermaid);
+  if (rendered.length === 0) return "";
+
+  let section = "### Lineage Diagram\n";
+  rendered.forEach(({ name, filePath, mermaid, collapsedCount }) => {
+    section += `**${name}** (\`${filePath}\`)\n\n`;
+    section += "```mermaid\n" + mermaid + "\n```\n";
+    if (collapsedCount > 0) {
+      section += `*${collapsedCount} assets are collapsed into summary nodes; the lists above include every asset.*\n`;
+    }
+    section += "\n";
+  });
+  return section;
+};
+
+module.exports = {
+  buildLineageDiagram,
+  buildLineageDiagramSection
+};
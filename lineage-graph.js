@@ -0,0 +1,181 @@
+const core = require("@actions/core");
+const { safeArray } = require("./utils");
+const { isCoalesceNodeFile, parseNodeYAML } = require("./coalesce-parser");
+const { getFileContent, listFilesAtCommit } = require("./sql-parser");
+
+// Same depth the DQLabs API is queried with for indirect impact
+const DEFAULT_MAX_DEPTH = 10;
+
+const nodeKey = (locationName, nodeName) => `${locationName || ""}.${nodeName || ""}`.toUpperCase();
+
+// Read and parse every Coalesce node of the project at a commit; without a sha the working tree is used
+const loadProjectNodes = async (sha) => {
+  const files = (await listFilesAtCommit(sha, "nodes")).filter(isCoalesceNodeFile);
+  if (files.length === 0) {
+    core.info(`[loadProjectNodes] No Coalesce nodes found at ${sha || "working tree"}`);
+    return [];
+  }
+
+  const nodes = [];
+  for (const file of files) {
+    nodes.push(parseNodeYAML(await getFileContent(sha, file), file));
+  }
+  return nodes.filter(Boolean);
+};
+
+const addEdge = (adjacency, from, to) => {
+  if (!from || !to || from === to) return;
+  if (!adjacency.has(from)) adjacency.set(from, new Set());
+  adjacency.get(from).add(to);
+};
+
+// Build node and column adjacency (upstream -> downstream) from parsed nodes
+const buildLineageGraph = (nodes) => {
+  const nodesById = new Map();
+  const nodeIdsByKey = new Map();
+  const columnsByCounter = new Map();
+  const nodeEdges = new Map();
+  const columnEdges = new Map();
+
+  safeArray(nodes).forEach(node => {
+    if (!node?.id) return;
+    nodesById.set(node.id, node);
+    nodeIdsByKey.set(nodeKey(node.locationName, node.name), node.id);
+    node.columns.forEach(column => {
+      if (column.columnCounter) columnsByCounter.set(column.columnCounter, { node, column });
+    });
+  });
+
+  nodesById.forEach(node => {
+    // Dependencies are resolved by location/name, aliases point straight at node ids
+    node.dependencies.forEach(dep => {
+      addEdge(nodeEdges, nodeIdsByKey.get(nodeKey(dep.locationName, dep.nodeName)), node.id);
+    });
+    Object.values(node.aliases || {}).forEach(upstreamId => addEdge(nodeEdges, upstreamId, node.id));
+
+    node.columns.forEach(column => {
+      column.sourceColumns.forEach(source => {
+        addEdge(columnEdges, source.columnCounter, column.columnCounter);
+        addEdge(nodeEdges, source.stepCounter, node.id);
+      });
+    });
+  });
+
+  return { nodesById, nodeIdsByKey, columnsByCounter, nodeEdges, columnEdges };
+};
+
+// Resolve a parsed node (possibly deleted from head) to its id in the graph
+const resolveNodeId = (graph, node) => {
+  if (!node) return null;
+  if (node.id && graph.nodesById.has(node.id)) return node.id;
+  return graph.nodeIdsByKey.get(nodeKey(node.locationName, node.name)) || node.id || null;
+};
+
+// Breadth-first walk returning the shortest depth to every reachable id
+const walkDownstream = (adjacency, startIds, maxDepth) => {
+  const depths = new Map();
+  let frontier = safeArray(startIds).filter(Boolean);
+  const visited = new Set(frontier);
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    frontier.forEach(id => {
+      (adjacency.get(id) || []).forEach(downstreamId => {
+        if (visited.has(downstreamId)) return;
+        visited.add(downstreamId);
+        depths.set(downstreamId, depth);
+        next.push(downstreamId);
+      });
+    });
+    frontier = next;
+  }
+
+  return depths;
+};
+
+const getDownstreamNodes = (graph, node, maxDepth = DEFAULT_MAX_DEPTH) => {
+  const startId = resolveNodeId(graph, node);
+  const depths = walkDownstream(graph.nodeEdges, [startId], maxDepth);
+
+  return Array.from(depths.entries())
+    .map(([id, depth]) => ({ node: graph.nodesById.get(id), depth }))
+    .filter(item => item.node);
+};
+
+const getDownstreamColumns = (graph, columnCounters, maxDepth = DEFAULT_MAX_DEPTH) => {
+  const depths = walkDownstream(graph.columnEdges, columnCounters, maxDepth);
+
+  return Array.from(depths.entries())
+    .map(([counter, depth]) => ({ ...graph.columnsByCounter.get(counter), depth }))
+    .filter(item => item.node && item.column);
+};
+
+// Shape local results like the DQLabs impact-analysis tables/fields
+const toAssetImpact = ({ node, depth }) => ({
+  id: node.id,
+  name: node.name,
+  asset_name: node.name,
+  entity: node.id,
+  asset_group: "data",
+  flow: "downstream",
+  depth,
+  location_name: node.locationName,
+  file_path: node.file,
+  source: "local"
+});
+
+const toColumnImpact = ({ node, column, depth, changedColumn }) => ({
+  table_name: node.name,
+  column_name: column.name,
+  column_id: column.columnCounter,
+  data_type: column.dataType,
+  table_id: node.id,
+  entity: node.id,
+  asset_name: node.name,
+  flow: "downstream",
+  depth,
+  impact_type: "Column Lineage",
+  asset_group: "data",
+  source: "local",
+  changed_column: changedColumn,
+  match_type: "coalesce_lineage"
+});
+
+// Direct and indirect impacts of one changed node from the local graph
+const getLocalImpacts = (graph, nodeChange, changedColumnNames = []) => {
+  const { baseNode, headNode } = nodeChange;
+  const node = headNode || baseNode;
+  const downstreamNodes = getDownstreamNodes(graph, node);
+
+  // Removed columns only exist in base, so look counters up across both versions;
+  // each changed column is walked on its own so impacts remember which change reached them
+  const knownColumns = [...safeArray(headNode?.columns), ...safeArray(baseNode?.columns)];
+  const closest = new Map();
+  safeArray(changedColumnNames).forEach(changedColumn => {
+    const counter = knownColumns.find(col => col.name === changedColumn)?.columnCounter;
+    if (!counter) return;
+    getDownstreamColumns(graph, [counter]).forEach(item => {
+      const existing = closest.get(item.column.columnCounter);
+      if (!existing || item.depth < existing.depth) {
+        closest.set(item.column.columnCounter, { ...item, changedColumn });
+      }
+    });
+  });
+  const downstreamColumns = Array.from(closest.values());
+
+  return {
+    direct: downstreamNodes.filter(item => item.depth === 1).map(toAssetImpact),
+    indirect: downstreamNodes.filter(item => item.depth > 1).map(toAssetImpact),
+    directColumns: downstreamColumns.filter(item => item.depth === 1).map(toColumnImpact),
+    indirectColumns: downstreamColumns.filter(item => item.depth > 1).map(toColumnImpact)
+  };
+};
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  loadProjectNodes,
+  buildLineageGraph,
+  getDownstreamNodes,
+  getDownstreamColumns,
+  getLocalImpacts
+};
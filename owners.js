@@ -0,0 +1,124 @@
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { safeArray, wildcardMatches } = require("./utils");
+
+const RULE_KEYS = ["asset", "tag", "location", "asset_group"];
+
+const normalizeHandle = (handle) => {
+  const value = String(handle || "").trim();
+  return value && !value.startsWith("@") ? `@${value}` : value;
+};
+
+// Ownership file: rules: [{ asset?, tag?, location?, asset_group?, owners: [...] }], users: { dqlabs user: github handle }
+const loadOwnershipRules = (ownersFile, rootDir = process.env.GITHUB_WORKSPACE || process.cwd()) => {
+  const empty = { rules: [], users: {} };
+  if (!ownersFile) return empty;
+  const fullPath = path.join(rootDir, ownersFile);
+  if (!fs.existsSync(fullPath)) {
+    core.info(`[loadOwnershipRules] No ownership file at ${ownersFile}`);
+    return empty;
+  }
+
+  try {
+    const doc = yaml.load(fs.readFileSync(fullPath, "utf8")) || {};
+    const rules = safeArray(doc.rules)
+      .filter(rule => rule && RULE_KEYS.some(key => rule[key]) && safeArray(rule.owners).length > 0)
+      .map(rule => ({ ...rule, owners: rule.owners.map(normalizeHandle).filter(Boolean) }));
+    const users = Object.fromEntries(Object.entries(doc.users || {})
+      .map(([dqlabsUser, handle]) => [dqlabsUser.toLowerCase(), normalizeHandle(handle)]));
+    core.info(`[loadOwnershipRules] Loaded ${rules.length} ownership rules from ${ownersFile}`);
+    return { rules, users };
+  } catch (error) {
+    core.warning(`[loadOwnershipRules] Could not parse ${ownersFile}: ${error.message}`);
+    return empty;
+  }
+};
+
+// Every criterion a rule sets must match: asset name, node tag, node location and DQLabs asset group
+const ruleMatches = (rule, asset) =>
+  (!rule.asset || wildcardMatches(rule.asset, asset.name)) &&
+  (!rule.tag || safeArray(asset.tags).some(tag => wildcardMatches(rule.tag, tag))) &&
+  (!rule.location || wildcardMatches(rule.location, asset.locationName)) &&
+  (!rule.asset_group || wildcardMatches(rule.asset_group, asset.assetGroup));
+
+// Owners embedded in a DQLabs task or impact item, mapped to GitHub handles where the ownership file knows them.
+// Nothing is fetched: items without owner fields add no owners
+const getEmbeddedOwners = (item, users) =>
+  [...safeArray(item?.owners), item?.owner]
+    .filter(Boolean)
+    .map(owner => (typeof owner === "string" ? owner : owner.email || owner.username || owner.name))
+    .filter(Boolean)
+    .map(owner => users[String(owner).toLowerCase()] || owner);
+
+// Group impacted assets by owner; getNode resolves an impact item to its Coalesce node for tags and location
+const collectImpactedOwners = (fileImpacts, { rules, users }, { getNode = () => null, useEmbeddedOwners = false } = {}) => {
+  const owners = new Map();
+  const addAsset = (owner, bucket, name) => {
+    if (!owners.has(owner)) owners.set(owner, { owner, direct: new Set(), indirect: new Set() });
+    owners.get(owner)[bucket].add(name);
+  };
+
+  Object.values(fileImpacts || {}).forEach(impacts => {
+    ["direct", "indirect"].forEach(bucket => {
+      safeArray(impacts[bucket]).forEach(item => {
+        const node = getNode(item);
+        const asset = {
+          name: item?.name || item?.asset_name || node?.name,
+          tags: node?.tags,
+          locationName: node?.locationName || item?.location_name,
+          assetGroup: item?.asset_group
+        };
+        if (!asset.name) return;
+
+        const assetOwners = new Set(safeArray(rules).filter(rule => ruleMatches(rule, asset)).flatMap(rule => rule.owners));
+        if (useEmbeddedOwners) getEmbeddedOwners(item, users || {}).forEach(owner => assetOwners.add(owner));
+        assetOwners.forEach(owner => addAsset(owner, bucket, asset.name));
+      });
+    });
+  });
+
+  return Array.from(owners.values())
+    .map(entry => ({
+      owner: entry.owner,
+      direct: Array.from(entry.direct),
+      // An asset reached both ways is listed once, as direct
+      indirect: Array.from(entry.indirect).filter(name => !entry.direct.has(name))
+    }))
+    .sort((a, b) => b.direct.length - a.direct.length || a.owner.localeCompare(b.owner));
+};
+
+// "@org/team" handles become team reviewers, "@user" handles become individual reviewers
+const splitReviewers = (handles, author = "") => {
+  const reviewers = [];
+  const team_reviewers = [];
+  safeArray(handles).filter(handle => String(handle).startsWith("@")).forEach(handle => {
+    const name = handle.slice(1);
+    if (name.includes("/")) team_reviewers.push(name.split("/")[1]);
+    else if (name.toLowerCase() !== String(author).toLowerCase()) reviewers.push(name);
+  });
+  return { reviewers: Array.from(new Set(reviewers)), team_reviewers: Array.from(new Set(team_reviewers)) };
+};
+
+// Markdown section mentioning each owner next to the assets they own
+const buildOwnersSection = (impactedOwners) => {
+  if (safeArray(impactedOwners).length === 0) return "";
+
+  let section = "### Owners of impacted assets\n";
+  impactedOwners.forEach(({ owner, direct, indirect }) => {
+    const assets = [
+      ...direct.map(name => `${name} (direct)`),
+      ...indirect.map(name => `${name} (indirect)`)
+    ];
+    section += `- ${owner}: ${assets.join(", ")}\n`;
+  });
+  return section + "\n";
+};
+
+module.exports = {
+  loadOwnershipRules,
+  collectImpactedOwners,
+  splitReviewers,
+  buildOwnersSection
+};
@@ -0,0 +1,125 @@
+const { safeArray, getImpactsForChangedColumn } = require("./utils");
+const { getCoverageLosses, formatTest } = require("./test-coverage");
+
+const POLICY_MODES = ["off", "warn", "enforce"];
+
+const parseLimit = (value) => {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : null;
+};
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === null || String(value).trim() === "") return fallback;
+  return ["true", "yes", "1", "on"].includes(String(value).trim().toLowerCase());
+};
+
+// Build the policy configuration from raw action inputs
+const parsePolicyConfig = (inputs = {}) => {
+  const mode = String(inputs.policy_mode || "off").trim().toLowerCase();
+  return {
+    mode: POLICY_MODES.includes(mode) ? mode : "off",
+    failOnBreakingChanges: parseBoolean(inputs.fail_on_breaking_changes, true),
+    maxDirectAssets: parseLimit(inputs.max_direct_assets),
+    maxIndirectAssets: parseLimit(inputs.max_indirect_assets),
+    failOnReportImpact: parseBoolean(inputs.fail_on_report_impact, true),
+    failOnTestCoverageLoss: parseBoolean(inputs.fail_on_test_coverage_loss, true)
+  };
+};
+
+// Removed and renamed columns disappear under the name consumers use; a data type change rewrites it
+const getBreakingCandidates = (changedColumns) => [
+  ...safeArray(changedColumns?.removed).map(col => ({ ...col, reason: "removed" })),
+  ...safeArray(changedColumns?.renamed).map(col => ({ ...col, reason: `renamed to ${col.newName}` })),
+  ...safeArray(changedColumns?.modified)
+    .filter(col => safeArray(col.changes).some(change => change.attribute === "dataType"))
+    .map(col => {
+      const change = col.changes.find(item => item.attribute === "dataType");
+      return { ...col, reason: `data type ${change.before || "unknown"} → ${change.after || "unknown"}` };
+    })
+];
+
+const sumImpacts = (fileImpacts, bucket) =>
+  Object.values(fileImpacts || {}).reduce((sum, impacts) => sum + safeArray(impacts[bucket]).length, 0);
+
+// Evaluate the merge policy against the collected impacts
+const evaluatePolicy = ({ changedColumns, fileImpacts, columnImpacts, testCoverageChanges }, config) => {
+  const breakingChanges = getBreakingCandidates(changedColumns)
+    .map(col => ({ ...col, consumers: getImpactsForChangedColumn(columnImpacts, col).direct }))
+    .filter(col => col.consumers.length > 0);
+
+  const totalDirectAssets = sumImpacts(fileImpacts, "direct");
+  const totalIndirectAssets = sumImpacts(fileImpacts, "indirect");
+
+  const reportAssets = Array.from(new Set([
+    ...Object.values(fileImpacts || {}).flatMap(impacts => [...safeArray(impacts.direct), ...safeArray(impacts.indirect)])
+      .filter(item => item?.asset_group === "report")
+      .map(item => item.name || item.asset_name),
+    ...Object.values(columnImpacts || {}).flatMap(impacts => [...safeArray(impacts.direct), ...safeArray(impacts.indirect)])
+      .filter(item => item?.asset_group === "report")
+      .map(item => item.table_name || item.asset_name)
+  ].filter(Boolean)));
+
+  // Removed or disabled tests, per node
+  const testCoverageLosses = safeArray(testCoverageChanges)
+    .map(entry => ({ ...entry, losses: getCoverageLosses(entry) }))
+    .filter(entry => entry.losses.length > 0);
+
+  const reasons = [];
+  if (config.failOnBreakingChanges) {
+    breakingChanges.forEach(col => {
+      const consumers = col.consumers.map(item => `${item.table_name}.${item.column_name}`);
+      reasons.push(`Column ${col.node || col.model || col.file}.${col.column} ${col.reason} with ${consumers.length} direct consumer(s): ${consumers.join(", ")}`);
+    });
+  }
+  if (config.maxDirectAssets !== null && totalDirectAssets > config.maxDirectAssets) {
+    reasons.push(`${totalDirectAssets} directly impacted assets exceed the limit of ${config.maxDirectAssets}`);
+  }
+  if (config.maxIndirectAssets !== null && totalIndirectAssets > config.maxIndirectAssets) {
+    reasons.push(`${totalIndirectAssets} indirectly impacted assets exceed the limit of ${config.maxIndirectAssets}`);
+  }
+  if (config.failOnReportImpact && reportAssets.length > 0) {
+    reasons.push(`Report assets are impacted: ${reportAssets.join(", ")}`);
+  }
+  if (config.failOnTestCoverageLoss) {
+    testCoverageLosses.forEach(entry => {
+      const tags = entry.tags.length > 0 ? ` (tags: ${entry.tags.join(", ")})` : "";
+      reasons.push(`Tests removed or disabled on ${entry.node}${tags}: ${entry.losses.map(formatTest).join(", ")}`);
+    });
+  }
+
+  let result = "pass";
+  if (config.mode === "off") result = "skipped";
+  else if (reasons.length > 0) result = config.mode === "enforce" ? "fail" : "warn";
+
+  return {
+    mode: config.mode,
+    result,
+    reasons,
+    breakingChanges,
+    testCoverageLosses,
+    totals: { direct_assets: totalDirectAssets, indirect_assets: totalIndirectAssets, report_assets: reportAssets.length }
+  };
+};
+
+// Markdown section describing the policy outcome
+const buildPolicySection = (policy) => {
+  if (!policy || policy.mode === "off") return "";
+
+  const icon = { pass: "✅", warn: "⚠️", fail: "❌" }[policy.result] || "";
+  let section = "### Merge Policy\n";
+  section += `- **Result:** ${icon} ${policy.result.toUpperCase()} (${policy.mode} mode)\n`;
+  section += `- **Breaking changes:** ${policy.breakingChanges.length}\n`;
+  if (policy.reasons.length > 0) {
+    section += `\n<details>\n<summary><b>Policy violations (${policy.reasons.length})</b></summary>\n\n`;
+    section += policy.reasons.map(reason => `- ${reason}`).join("\n") + "\n";
+    section += `</details>\n`;
+  }
+  return section + "\n";
+};
+
+module.exports = {
+  parsePolicyConfig,
+  evaluatePolicy,
+  buildPolicySection
+};
@@ -0,0 +1,182 @@
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+const { safeArray } = require("./utils");
+
+// Bump a version whenever fields are renamed or removed; adding fields keeps it.
+// CSV also bumps on added columns, since they change the header of rows concatenated across runs
+const OUTPUT_SCHEMA_VERSIONS = {
+  json: "1.0",
+  sarif: "1.0",
+  junit: "1.0",
+  csv: "1.2"
+};
+
+const OUTPUT_FORMATS = ["json", "sarif", "junit", "csv"];
+
+const BREAKING_CHANGE_RULE = {
+  id: "dqlabs/breaking-change",
+  name: "BreakingColumnChange",
+  shortDescription: { text: "Column change breaks downstream consumers" },
+  fullDescription: { text: "A removed, renamed or retyped column is read directly by downstream assets in DQLabs or the local lineage graph." },
+  defaultConfiguration: { level: "error" }
+};
+
+const parseOutputFormats = (value) => {
+  const formats = String(value || "json")
+    .split(",")
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+  formats.filter(format => !OUTPUT_FORMATS.includes(format))
+    .forEach(format => core.warning(`[parseOutputFormats] Unsupported output format "${format}"`));
+  // The JSON file is always written so impact_json_path is always set
+  return Array.from(new Set(["json", ...formats.filter(format => OUTPUT_FORMATS.includes(format))]));
+};
+
+// SARIF 2.1.0 log with one result per breaking change
+const buildSarif = (report) => ({
+  $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+  version: "2.1.0",
+  runs: [{
+    tool: {
+      driver: {
+        name: "DQLabs Impact Analysis",
+        rules: [BREAKING_CHANGE_RULE]
+      }
+    },
+    properties: { schema_version: OUTPUT_SCHEMA_VERSIONS.sarif, policy_result: report.policy.result },
+    results: safeArray(report.policy.breaking_changes).map(change => ({
+      ruleId: BREAKING_CHANGE_RULE.id,
+      level: "error",
+      message: {
+        text: `Column ${change.model_name ? `${change.model_name}.` : ""}${change.column_name} ${change.reason}; direct consumers: ${change.direct_consumers.join(", ")}`
+      },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: change.file_path },
+          region: { startLine: change.line || 1 }
+        }
+      }],
+      partialFingerprints: { breakingChange: `${change.file_path}:${change.column_name}:${change.reason}` }
+    }))
+  }]
+});
+
+const escapeXml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+// JUnit XML: every breaking change is a failed test case so CI dashboards count them
+const buildJUnit = (report) => {
+  const breakingChanges = safeArray(report.policy.breaking_changes);
+  const testCases = breakingChanges.length > 0
+    ? breakingChanges.map(change => {
+      const name = `${change.model_name ? `${change.model_name}.` : ""}${change.column_name} ${change.reason}`;
+      const details = `${change.file_path}:${change.line || 1}\nDirect consumers: ${change.direct_consumers.join(", ")}`;
+      return `    <testcase classname="${escapeXml(change.file_path)}" name="${escapeXml(name)}">\n` +
+        `      <failure message="${escapeXml(`Breaking change: ${name}`)}" type="BreakingColumnChange">${escapeXml(details)}</failure>\n` +
+        `    </testcase>`;
+    })
+    : [`    <testcase classname="dqlabs-impact-analysis" name="No breaking column changes"/>`];
+  const failures = breakingChanges.length;
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="DQLabs Impact Analysis" tests="${testCases.length}" failures="${failures}">`,
+    `  <testsuite name="breaking-changes" tests="${testCases.length}" failures="${failures}" errors="0" skipped="0" timestamp="${escapeXml(report.metadata.timestamp)}">`,
+    `    <properties>`,
+    `      <property name="schema_version" value="${OUTPUT_SCHEMA_VERSIONS.junit}"/>`,
+    `      <property name="policy_result" value="${escapeXml(report.policy.result)}"/>`,
+    `      <property name="commit_sha" value="${escapeXml(report.metadata.commit_sha)}"/>`,
+    `    </properties>`,
+    ...testCases,
+    `  </testsuite>`,
+    `</testsuites>`,
+    ""
+  ].join("\n");
+};
+
+const escapeCsv = (value) => {
+  const text = Array.isArray(value) ? value.join(";") : String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (header, rows) =>
+  [header, ...rows].map(row => row.map(escapeCsv).join(",")).join("\n") + "\n";
+
+// CSV rows carry the schema version in the first column so files can be concatenated across runs
+const buildAssetsCsv = (report) => toCsv(
+  ["schema_version", "impact", "file_path", "model_name", "task_name", "lineage_source", "fully_qualified_names", "redirect_url", "dq_score", "active_alerts", "last_run_status", "unhealthy"],
+  ["direct", "indirect"].flatMap(impact => safeArray(report.asset_impacts[impact]).map(item => [
+    OUTPUT_SCHEMA_VERSIONS.csv,
+    impact,
+    item.file_path,
+    item.model_name,
+    item.task_name,
+    item.lineage_source,
+    safeArray(item.fully_qualified_names).map(fqn => fqn.name),
+    item.redirect_url,
+    item.dq_score,
+    item.active_alerts,
+    item.last_run_status,
+    item.unhealthy
+  ]))
+);
+
+const buildColumnsCsv = (report) => toCsv(
+  ["schema_version", "impact", "file_path", "table_name", "column_name", "data_type", "task_name", "lineage_source", "redirect_url", "match_type"],
+  ["direct", "indirect"].flatMap(impact => safeArray(report.column_impacts[impact]).map(item => [
+    OUTPUT_SCHEMA_VERSIONS.csv,
+    impact,
+    item.file_path,
+    item.table_name,
+    item.column_name,
+    item.data_type,
+    item.task_name,
+    item.lineage_source,
+    item.redirect_url,
+    item.match_type
+  ]))
+);
+
+// Write the requested formats under outputDir and return their paths by output name
+const writeReportFiles = (report, { formats, outputDir }) => {
+  const paths = {};
+  try {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const write = (outputName, fileName, content) => {
+      const filePath = path.join(outputDir, fileName);
+      fs.writeFileSync(filePath, content);
+      paths[outputName] = filePath;
+      core.info(`[writeReportFiles] Wrote ${filePath}`);
+    };
+
+    write("impact_json_path", "impact-analysis.json", JSON.stringify(report, null, 2));
+    if (formats.includes("sarif")) {
+      write("impact_sarif_path", "impact-analysis.sarif", JSON.stringify(buildSarif(report), null, 2));
+    }
+    if (formats.includes("junit")) {
+      write("impact_junit_path", "impact-analysis.junit.xml", buildJUnit(report));
+    }
+    if (formats.includes("csv")) {
+      write("impact_assets_csv_path", "impact-assets.csv", buildAssetsCsv(report));
+      write("impact_columns_csv_path", "impact-columns.csv", buildColumnsCsv(report));
+    }
+  } catch (error) {
+    core.warning(`[writeReportFiles] Could not write report files to ${outputDir}: ${error.message}`);
+  }
+  return paths;
+};
+
+module.exports = {
+  OUTPUT_SCHEMA_VERSIONS,
+  parseOutputFormats,
+  buildSarif,
+  buildJUnit,
+  buildAssetsCsv,
+  buildColumnsCsv,
+  writeReportFiles
+};
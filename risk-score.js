@@ -0,0 +1,192 @@
+const core = require("@actions/core");
+const yaml = require("js-yaml");
+const { safeArray } = require("./utils");
+
+const RISK_LEVELS = ["low", "medium", "high", "critical"];
+const LEVEL_ICONS = { low: "🟢", medium: "🟡", high: "🟠", critical: "🔴" };
+
+// Points per changed column and per downstream asset, multipliers per changed node.
+// Overridden key by key through the risk_weights input.
+const DEFAULT_RISK_WEIGHTS = {
+  change: { removed: 10, renamed: 8, type_change: 6, transform_change: 4, other_change: 1, added: 1, node_type_change: 4 },
+  asset_group: { report: 3, pipeline: 2, data: 1 },
+  // Each level of depth beyond direct consumers multiplies an asset's points by this factor
+  depth_decay: 0.5,
+  materialization: { table: 1.5, view: 1 },
+  tags: { production_ready: 2 },
+  // Lowest score of each level above low
+  levels: { medium: 10, high: 30, critical: 60 }
+};
+
+const CHANGE_LABELS = {
+  removed: "removed",
+  renamed: "renamed",
+  type_change: "type change",
+  transform_change: "transform change",
+  other_change: "other change",
+  added: "added",
+  node_type_change: "node type change"
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const mergeWeights = (defaults, overrides) => {
+  if (!isPlainObject(overrides)) return defaults;
+  const merged = { ...defaults };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(defaults[key])) {
+      merged[key] = mergeWeights(defaults[key], value);
+    } else if (isPlainObject(value) && defaults[key] === undefined) {
+      merged[key] = value;
+    } else if (Number.isFinite(Number(value)) && String(value).trim() !== "") {
+      merged[key] = Number(value);
+    } else {
+      core.warning(`[parseRiskWeights] Ignoring non-numeric weight ${key}: ${value}`);
+    }
+  });
+  return merged;
+};
+
+// risk_weights is YAML (or JSON) overriding any of the default weights
+const parseRiskWeights = (value) => {
+  if (!value || !String(value).trim()) return DEFAULT_RISK_WEIGHTS;
+  try {
+    return mergeWeights(DEFAULT_RISK_WEIGHTS, yaml.load(value));
+  } catch (error) {
+    core.warning(`[parseRiskWeights] Could not parse risk_weights, using the defaults: ${error.message}`);
+    return DEFAULT_RISK_WEIGHTS;
+  }
+};
+
+const lookup = (table, key) => {
+  const match = Object.keys(table || {}).find(name => name.toLowerCase() === String(key || "").toLowerCase());
+  return match !== undefined ? Number(table[match]) : null;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const getRiskLevel = (score, levels) =>
+  [...RISK_LEVELS].reverse().find(level => level === "low" || score >= Number(levels?.[level] ?? Infinity));
+
+// A modified column counts as its most severe attribute change
+const getChangeKind = (bucket, col) => {
+  if (bucket !== "modified") return bucket;
+  const attributes = safeArray(col.changes).map(change => change.attribute);
+  if (attributes.includes("dataType")) return "type_change";
+  if (attributes.includes("transform")) return "transform_change";
+  return "other_change";
+};
+
+const listNames = (names) => (names.length > 5 ? `${names.slice(0, 5).join(", ")} +${names.length - 5}` : names.join(", "));
+
+// Score one changed file: column change points plus downstream asset points, times node multipliers
+const scoreChangedNode = ({ file, name, node, columns, templateChange, impacts }, weights) => {
+  const factors = [];
+
+  const columnsByKind = new Map();
+  columns.forEach(({ column, kind }) => {
+    if (!columnsByKind.has(kind)) columnsByKind.set(kind, []);
+    columnsByKind.get(kind).push(column);
+  });
+  Object.keys(CHANGE_LABELS).forEach(kind => {
+    const names = columnsByKind.get(kind);
+    if (!names) return;
+    factors.push({ type: "change", label: `${CHANGE_LABELS[kind]}: ${listNames(names)}`, points: round(names.length * (lookup(weights.change, kind) || 0)) });
+  });
+  if (templateChange) {
+    factors.push({ type: "change", label: `${CHANGE_LABELS.node_type_change}: ${templateChange}`, points: round(lookup(weights.change, "node_type_change") || 0) });
+  }
+
+  const consumers = new Map();
+  const addConsumer = (item, depth) => {
+    const group = item?.asset_group || "data";
+    const key = `${group}:${depth}`;
+    const points = (lookup(weights.asset_group, group) ?? lookup(weights.asset_group, "data") ?? 0) * Math.pow(Number(weights.depth_decay), depth - 1);
+    const existing = consumers.get(key) || { group, depth, count: 0, points: 0 };
+    consumers.set(key, { ...existing, count: existing.count + 1, points: existing.points + points });
+  };
+  safeArray(impacts?.direct).forEach(item => addConsumer(item, 1));
+  safeArray(impacts?.indirect).forEach(item => addConsumer(item, Math.max(2, Number(item?.depth) || 2)));
+  Array.from(consumers.values())
+    .sort((a, b) => a.depth - b.depth || b.points - a.points)
+    .forEach(({ group, depth, count, points }) => {
+      factors.push({ type: "consumer", label: `${count} ${group} asset${count === 1 ? "" : "s"} at depth ${depth}`, points: round(points) });
+    });
+
+  const basePoints = factors.reduce((sum, factor) => sum + factor.points, 0);
+  let multiplier = 1;
+  const materialization = node?.materializationType;
+  const materializationWeight = materialization ? lookup(weights.materialization, materialization) : null;
+  if (materializationWeight !== null && materializationWeight !== 1) {
+    factors.push({ type: "materialization", label: materialization, multiplier: materializationWeight });
+    multiplier *= materializationWeight;
+  }
+  safeArray(node?.tags).forEach(tag => {
+    const tagWeight = lookup(weights.tags, tag);
+    if (tagWeight === null || tagWeight === 1) return;
+    factors.push({ type: "tag", label: tag, multiplier: tagWeight });
+    multiplier *= tagWeight;
+  });
+
+  const score = round(basePoints * multiplier);
+  return { file_path: file, node_name: name, score, level: getRiskLevel(score, weights.levels), factors };
+};
+
+// Risk of the whole change: one score per changed file, the PR score is their sum
+const computeRiskScore = ({ changedColumns, fileImpacts, nodeChanges }, weights = DEFAULT_RISK_WEIGHTS) => {
+  const changed = new Map();
+  const entryFor = (file, name) => {
+    if (!changed.has(file)) changed.set(file, { file, name, node: null, columns: [], templateChange: null, impacts: null });
+    return changed.get(file);
+  };
+
+  safeArray(nodeChanges).forEach(change => {
+    const entry = entryFor(change.file, change.node?.name);
+    entry.node = change.node;
+    if (change.templateOnly) entry.templateChange = change.inheritedFrom;
+  });
+  ["removed", "renamed", "modified", "added"].forEach(bucket => {
+    safeArray(changedColumns?.[bucket]).forEach(col => {
+      entryFor(col.file, col.node || col.model).columns.push({ column: col.column, kind: getChangeKind(bucket, col) });
+    });
+  });
+  Object.entries(fileImpacts || {}).forEach(([file, impacts]) => {
+    const entry = entryFor(file, impacts.taskName);
+    entry.name = entry.name || impacts.taskName;
+    entry.impacts = impacts;
+  });
+
+  const nodes = Array.from(changed.values())
+    .map(entry => scoreChangedNode({ ...entry, name: entry.name || entry.file }, weights))
+    .sort((a, b) => b.score - a.score);
+  const score = round(nodes.reduce((sum, node) => sum + node.score, 0));
+
+  return { score, level: getRiskLevel(score, weights.levels), nodes };
+};
+
+const formatFactor = (factor) => (factor.multiplier !== undefined
+  ? `${factor.type === "tag" ? `tag \`${factor.label}\`` : factor.label} ×${factor.multiplier}`
+  : `${factor.label} +${factor.points}`);
+
+// Markdown section shown at the top of the report
+const buildRiskSection = (risk) => {
+  if (!risk) return "";
+
+  let section = `### Risk: ${LEVEL_ICONS[risk.level] || ""} ${risk.level.toUpperCase()} (score ${risk.score})\n`;
+  if (risk.nodes.length === 0) return section + "\n";
+
+  section += "\n| Changed node | Score | Contributing factors |\n| --- | --- | --- |\n";
+  risk.nodes.forEach(node => {
+    const factors = node.factors.map(formatFactor).join(" · ") || "-";
+    section += `| ${node.node_name} | ${node.score} (${node.level}) | ${factors.replace(/\|/g, "\\|")} |\n`;
+  });
+  return section + "\n";
+};
+
+module.exports = {
+  RISK_LEVELS,
+  DEFAULT_RISK_WEIGHTS,
+  parseRiskWeights,
+  computeRiskScore,
+  buildRiskSection
+};
@@ -0,0 +1,94 @@
+const core = require("@actions/core");
+const zlib = require("zlib");
+const { safeArray } = require("./utils");
+
+const STATE_VERSION = 1;
+const STATE_MARKER_PATTERN = /<!-- dqlabs-impact-analysis:state=([A-Za-z0-9+/=]+) -->/;
+// Leave most of the comment for the report itself
+const MAX_STATE_LENGTH = 30000;
+
+const uniqueSorted = (values) => Array.from(new Set(values.filter(Boolean))).sort();
+
+// The parts of a run the next push is compared against
+const buildRunState = (report, sha) => {
+  const assetNames = (bucket) => uniqueSorted(safeArray(report.asset_impacts?.[bucket]).map(item => item.model_name));
+  const columnNames = (bucket) => uniqueSorted(safeArray(report.column_impacts?.[bucket]).map(item => `${item.table_name}.${item.column_name}`));
+  return {
+    version: STATE_VERSION,
+    sha: sha || null,
+    assets: { direct: assetNames("direct"), indirect: assetNames("indirect") },
+    columns: { direct: columnNames("direct"), indirect: columnNames("indirect") }
+  };
+};
+
+const encode = (state) => zlib.deflateRawSync(Buffer.from(JSON.stringify(state))).toString("base64");
+
+// Hidden comment marker holding the compressed state; columns are dropped first when it is too large
+const encodeRunState = (state) => {
+  let encoded = encode(state);
+  if (encoded.length > MAX_STATE_LENGTH) {
+    encoded = encode({ ...state, columns: null });
+    core.info("[encodeRunState] Column impacts left out of the stored run state to keep the comment small");
+  }
+  if (encoded.length > MAX_STATE_LENGTH) {
+    core.warning("[encodeRunState] Impact list too large to store; the next push will not show changes since this run");
+    return "";
+  }
+  return `<!-- dqlabs-impact-analysis:state=${encoded} -->`;
+};
+
+const decodeRunState = (body) => {
+  const match = String(body || "").match(STATE_MARKER_PATTERN);
+  if (!match) return null;
+  try {
+    const state = JSON.parse(zlib.inflateRawSync(Buffer.from(match[1], "base64")).toString("utf8"));
+    return state?.version === STATE_VERSION ? state : null;
+  } catch (error) {
+    core.warning(`[decodeRunState] Could not read the previous run state: ${error.message}`);
+    return null;
+  }
+};
+
+// Newly impacted and no longer impacted names, each tagged with the level it has (or had)
+const diffBuckets = (previous, current) => {
+  const levelOf = (buckets, name) => (safeArray(buckets?.direct).includes(name) ? "direct" : "indirect");
+  const previousNames = new Set([...safeArray(previous?.direct), ...safeArray(previous?.indirect)]);
+  const currentNames = new Set([...safeArray(current?.direct), ...safeArray(current?.indirect)]);
+  return {
+    added: Array.from(currentNames).filter(name => !previousNames.has(name)).map(name => ({ name, impact: levelOf(current, name) })),
+    removed: Array.from(previousNames).filter(name => !currentNames.has(name)).map(name => ({ name, impact: levelOf(previous, name) }))
+  };
+};
+
+const diffRunStates = (previous, current) => ({
+  previous_sha: previous.sha,
+  current_sha: current.sha,
+  assets: diffBuckets(previous.assets, current.assets),
+  // A state stored without columns cannot tell which columns changed
+  columns: previous.columns && current.columns ? diffBuckets(previous.columns, current.columns) : null
+});
+
+const buildChangesSinceLastRunSection = (changes) => {
+  const shortSha = (sha) => (sha ? `\`${String(sha).slice(0, 7)}\`` : "the previous run");
+  const list = (items) => items.map(item => `${item.name} (${item.impact})`).join(", ") || "-";
+
+  let section = `### Changes since last push\n`;
+  section += `Compared with ${shortSha(changes.previous_sha)}:\n`;
+  section += `- Newly impacted assets(${changes.assets.added.length}): ${list(changes.assets.added)}\n`;
+  section += `- No longer impacted assets(${changes.assets.removed.length}): ${list(changes.assets.removed)}\n`;
+  if (changes.columns) {
+    section += `- Newly impacted columns(${changes.columns.added.length}): ${list(changes.columns.added)}\n`;
+    section += `- No longer impacted columns(${changes.columns.removed.length}): ${list(changes.columns.removed)}\n`;
+  } else {
+    section += `- Column changes are unavailable because the previous run had too many impacted columns to store\n`;
+  }
+  return section + "\n";
+};
+
+module.exports = {
+  buildRunState,
+  encodeRunState,
+  decodeRunState,
+  diffRunStates,
+  buildChangesSinceLastRunSection
+};
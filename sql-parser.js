@@ -0,0 +1,405 @@
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const yaml = require("js-yaml");
+const { safeArray } = require("./utils");
+const { isCoalesceNodeFile, parseNodeYAML } = require("./coalesce-parser");
+
+const execFileAsync = promisify(execFile);
+
+const getRepoRoot = () => process.env.GITHUB_WORKSPACE || process.cwd();
+
+// Read a file at a given commit from the local checkout; without a sha the working tree is used
+const getFileContent = async (sha, file) => {
+  if (!file) return null;
+
+  try {
+    if (!sha) {
+      const fullPath = path.join(getRepoRoot(), file);
+      return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf8") : null;
+    }
+
+    const { stdout } = await execFileAsync("git", ["show", `${sha}:${file}`], {
+      cwd: getRepoRoot(),
+      maxBuffer: 50 * 1024 * 1024
+    });
+    return stdout;
+  } catch (error) {
+    // Added files have no base version and deleted files have no head version
+    core.info(`[getFileContent] ${file} not found at ${sha || "working tree"}`);
+    return null;
+  }
+};
+
+// List the files under a directory at a given commit; without a sha the working tree is used
+const listFilesAtCommit = async (sha, directory) => {
+  try {
+    if (!sha) {
+      const fullPath = path.join(getRepoRoot(), directory);
+      return fs.existsSync(fullPath) ? fs.readdirSync(fullPath).map(name => `${directory}/${name}`) : [];
+    }
+
+    const { stdout } = await execFileAsync("git", ["ls-tree", "--name-only", sha, `${directory}/`], {
+      cwd: getRepoRoot(),
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return stdout.split("\n").map(line => line.trim()).filter(Boolean);
+  } catch (error) {
+    core.info(`[listFilesAtCommit] Could not list ${directory} at ${sha}: ${error.message}`);
+    return [];
+  }
+};
+
+// Keywords that can end an expression and so are never aliases
+const NON_ALIAS_KEYWORDS = new Set([
+  "END", "NULL", "TRUE", "FALSE", "AND", "OR", "NOT", "IS", "IN", "LIKE", "ILIKE",
+  "THEN", "ELSE", "WHEN", "CASE", "DISTINCT", "ASC", "DESC", "OVER"
+]);
+
+const IDENTIFIER = `(?:"[^"]+"|\`[^\`]+\`|[A-Za-z_][\\w$]*)`;
+
+const unquote = (identifier) => identifier.replace(/^["`]|["`]$/g, "");
+
+const JINJA_PLACEHOLDER = "__jinja__";
+
+const parseJinjaArgs = (args) => args.split(",").map(arg => arg.trim().replace(/^['"]|['"]$/g, "")).filter(Boolean);
+
+// Pull ref()/source() calls out of Jinja. A bare ref() or source() becomes a plain identifier;
+// any other expression, even one wrapping a ref like dbt_utils.star(ref('x')), stays opaque
+const extractJinja = (sql) => {
+  const refs = [];
+  const sources = [];
+
+  const rendered = sql
+    .replace(/\{#[\s\S]*?#\}/g, "")
+    .replace(/\{%[\s\S]*?%\}/g, "")
+    .replace(/\{\{([\s\S]*?)\}\}/g, (match, expression) => {
+      const expressionRefs = Array.from(expression.matchAll(/\bref\s*\(([^)]*)\)/g)).map(([, args]) => {
+        const parts = parseJinjaArgs(args);
+        return { name: parts[parts.length - 1], package: parts.length > 1 ? parts[0] : null };
+      });
+      const expressionSources = Array.from(expression.matchAll(/\bsource\s*\(([^)]*)\)/g)).map(([, args]) => {
+        const parts = parseJinjaArgs(args);
+        return { source: parts[0], table: parts[1] };
+      });
+      refs.push(...expressionRefs);
+      sources.push(...expressionSources);
+
+      if (/^\s*ref\s*\([^)]*\)\s*$/.test(expression)) return expressionRefs[0].name;
+      if (/^\s*source\s*\([^)]*\)\s*$/.test(expression)) return expressionSources[0].table || expressionSources[0].source;
+
+      // config() and other statement-level macros render to nothing inside the query
+      return /^\s*config\s*\(/.test(expression) ? "" : JINJA_PLACEHOLDER;
+    });
+
+  return { rendered, refs, sources };
+};
+
+const stripComments = (sql) =>
+  sql.replace(/\/\*[\s\S]*?\*\//g, " ").replace(/--[^\n]*/g, " ");
+
+// Walk the SQL keeping track of parentheses and quotes; calls visit(index, depth) for unquoted chars
+const scanTopLevel = (sql, visit) => {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === "'" || char === '"' || char === "`") {
+      quote = char;
+      continue;
+    }
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (visit(i, depth) === false) return;
+  }
+};
+
+const splitTopLevel = (sql, separator = ",") => {
+  const parts = [];
+  let start = 0;
+
+  scanTopLevel(sql, (i, depth) => {
+    if (depth === 0 && sql[i] === separator) {
+      parts.push(sql.slice(start, i));
+      start = i + 1;
+    }
+  });
+  parts.push(sql.slice(start));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// Find a keyword at parenthesis depth 0, starting from an offset
+const findTopLevelKeyword = (sql, keyword, from = 0) => {
+  const pattern = new RegExp(`^${keyword}\\b`, "i");
+  let found = -1;
+
+  scanTopLevel(sql, (i, depth) => {
+    if (i < from || depth !== 0) return;
+    if ((i === 0 || /[\s(),]/.test(sql[i - 1])) && pattern.test(sql.slice(i, i + keyword.length + 1))) {
+      found = i;
+      return false;
+    }
+  });
+
+  return found;
+};
+
+const findClosingParen = (sql, openIndex) => {
+  let closing = -1;
+  scanTopLevel(sql.slice(openIndex), (i, depth) => {
+    if (depth === 0 && sql[openIndex + i] === ")") {
+      closing = openIndex + i;
+      return false;
+    }
+  });
+  return closing;
+};
+
+// Split "WITH a AS (...), b AS (...) SELECT ..." into its CTEs and the main query
+const splitCTEs = (sql) => {
+  const ctes = [];
+  let rest = sql.trim();
+
+  const withMatch = rest.match(/^with\s+(recursive\s+)?/i);
+  if (!withMatch) return { ctes, mainQuery: rest };
+  rest = rest.slice(withMatch[0].length);
+
+  const ctePattern = new RegExp(`^(${IDENTIFIER})\\s*(\\([^)]*\\))?\\s+as\\s*\\(`, "i");
+  let cteMatch = rest.match(ctePattern);
+  while (cteMatch) {
+    const openIndex = cteMatch[0].length - 1;
+    const closeIndex = findClosingParen(rest, openIndex);
+    if (closeIndex === -1) break;
+
+    ctes.push({ name: unquote(cteMatch[1]), body: rest.slice(openIndex + 1, closeIndex) });
+    rest = rest.slice(closeIndex + 1).trim();
+    if (!rest.startsWith(",")) break;
+    rest = rest.slice(1).trim();
+    cteMatch = rest.match(ctePattern);
+  }
+
+  return { ctes, mainQuery: rest };
+};
+
+// Resolve the output name of one SELECT-list item
+const parseSelectItem = (item) => {
+  const expression = item.trim();
+
+  if (expression === "*" || new RegExp(`^(${IDENTIFIER}\\.)+\\*$`).test(expression)) {
+    return { star: true, expression };
+  }
+
+  // A macro standing alone in the select list expands to columns only dbt knows
+  if (expression === JINJA_PLACEHOLDER) {
+    return { opaque: true, expression };
+  }
+
+  const explicitAlias = expression.match(new RegExp(`^([\\s\\S]+?)\\s+as\\s+(${IDENTIFIER})$`, "i"));
+  if (explicitAlias) {
+    return { name: unquote(explicitAlias[2]), expression: explicitAlias[1].trim() };
+  }
+
+  const implicitAlias = expression.match(new RegExp(`^([\\s\\S]*[\\w)"'\`\\]])\\s+(${IDENTIFIER})$`));
+  if (implicitAlias && !NON_ALIAS_KEYWORDS.has(unquote(implicitAlias[2]).toUpperCase())) {
+    return { name: unquote(implicitAlias[2]), expression: implicitAlias[1].trim() };
+  }
+
+  const columnReference = expression.match(new RegExp(`^(?:${IDENTIFIER}\\.)*(${IDENTIFIER})$`));
+  if (columnReference) {
+    return { name: unquote(columnReference[1]), expression };
+  }
+
+  return { name: null, expression };
+};
+
+// Parse the SELECT list (and FROM target) of a single query
+const parseSelect = (query) => {
+  const selectIndex = findTopLevelKeyword(query, "select");
+  if (selectIndex === -1) return { columns: [], stars: [], opaque: [], from: null };
+
+  let listStart = selectIndex + "select".length;
+  const modifiers = query.slice(listStart).match(/^\s+(distinct|all)\b|^\s+top\s+\d+/i);
+  if (modifiers) listStart += modifiers[0].length;
+
+  const fromIndex = findTopLevelKeyword(query, "from", listStart);
+  const selectList = query.slice(listStart, fromIndex === -1 ? undefined : fromIndex);
+  const fromMatch = fromIndex === -1
+    ? null
+    : query.slice(fromIndex + 4).match(new RegExp(`^\\s*((?:${IDENTIFIER}\\.)*${IDENTIFIER})`));
+
+  const columns = [];
+  const stars = [];
+  const opaque = [];
+  splitTopLevel(selectList).forEach(item => {
+    const parsed = parseSelectItem(item);
+    if (parsed.star) {
+      stars.push(parsed.expression);
+    } else if (parsed.opaque) {
+      opaque.push(parsed.expression);
+    } else if (parsed.name) {
+      columns.push({ name: parsed.name, expression: parsed.expression });
+    } else {
+      core.info(`[parseSelect] Skipping unnamed select expression: ${parsed.expression}`);
+    }
+  });
+
+  return { columns, stars, opaque, from: fromMatch ? unquote(fromMatch[1].split(".").pop()) : null };
+};
+
+// Parse a dbt model / SQL file into its output columns, CTEs and Jinja references
+const parseSQLModel = (content) => {
+  const result = { columns: [], ctes: [], refs: [], sources: [], hasSelectStar: false };
+  if (!content || typeof content !== "string") return result;
+
+  const { rendered, refs, sources } = extractJinja(content);
+  result.refs = refs;
+  result.sources = sources;
+
+  const sql = stripComments(rendered).replace(/;\s*$/, "").replace(new RegExp(`^(\\s*${JINJA_PLACEHOLDER})+`), "").trim();
+  const { ctes, mainQuery } = splitCTEs(sql);
+
+  const cteColumns = new Map();
+  ctes.forEach(cte => {
+    const parsed = parseSelect(cte.body);
+    // A CTE selecting * from an earlier CTE inherits its columns
+    const inherited = parsed.stars.length > 0 && cteColumns.has(parsed.from) ? cteColumns.get(parsed.from) : [];
+    const columns = [...inherited, ...parsed.columns];
+    cteColumns.set(cte.name, columns);
+    result.ctes.push({ name: cte.name, columns: columns.map(col => col.name) });
+  });
+
+  const main = parseSelect(mainQuery);
+  if (main.stars.length > 0) {
+    if (cteColumns.has(main.from)) {
+      result.columns.push(...cteColumns.get(main.from));
+    } else {
+      result.hasSelectStar = true;
+      core.warning(`[parseSQLModel] SELECT ${main.stars.join(', ')} from ${main.from || 'unknown source'} cannot be expanded; column changes behind it are not detected`);
+    }
+  }
+  if (main.opaque.length > 0) {
+    result.hasSelectStar = true;
+    core.warning(`[parseSQLModel] ${main.opaque.length} Jinja expression(s) in the select list cannot be expanded, like SELECT *; column changes behind them are not detected`);
+  }
+  result.columns.push(...main.columns);
+
+  // Keep the last definition of a repeated output name, as the warehouse would reject duplicates anyway
+  const byName = new Map();
+  result.columns.forEach(col => byName.set(col.name, col));
+  result.columns = Array.from(byName.values());
+
+  return result;
+};
+
+// Output column names of a SQL model
+const extractColumnsFromSQL = (content) => parseSQLModel(content).columns.map(col => col.name);
+
+// A dbt schema test list marks a column not-null when it carries a not_null test or constraint
+const hasNotNull = (column) =>
+  [...safeArray(column?.tests), ...safeArray(column?.data_tests)]
+    .some(test => test === "not_null" || (test && typeof test === "object" && "not_null" in test)) ||
+  safeArray(column?.constraints).some(constraint => constraint?.type === "not_null");
+
+// Extract columns from dbt schema.yml (models/sources) or Coalesce node YAML
+const extractColumnsFromYML = (content, file = "") => {
+  if (!content) return [];
+
+  if (isCoalesceNodeFile(file)) {
+    const node = parseNodeYAML(content, file);
+    return safeArray(node?.columns).map(col => ({
+      name: col.name,
+      model: node.name,
+      data_type: col.dataType,
+      nullable: col.nullable,
+      description: col.description
+    }));
+  }
+
+  try {
+    const doc = yaml.load(content);
+    if (!doc || typeof doc !== "object") return [];
+
+    const models = [
+      ...safeArray(doc.models),
+      ...safeArray(doc.snapshots),
+      ...safeArray(doc.sources).flatMap(source => safeArray(source?.tables))
+    ];
+
+    return models.flatMap(model => safeArray(model?.columns)
+      .filter(column => column?.name)
+      .map(column => ({
+        name: column.name,
+        model: model.name,
+        data_type: column.data_type || column.type || "",
+        nullable: !hasNotNull(column),
+        description: column.description || ""
+      })));
+  } catch (error) {
+    core.warning(`[extractColumnsFromYML] Could not parse ${file}: ${error.message}`);
+    return [];
+  }
+};
+
+// Whitespace differences in an expression do not change what a column computes
+const normalizeExpression = (expression) => (expression || "").replace(/\s+/g, " ").trim();
+
+// Compare two versions of a SQL model; modified columns keep their name but change expression
+const diffSQLColumns = (baseContent, headContent) => {
+  const baseColumns = baseContent ? parseSQLModel(baseContent).columns : [];
+  const headColumns = headContent ? parseSQLModel(headContent).columns : [];
+  const baseByName = new Map(baseColumns.map(col => [col.name, col]));
+  const headNames = new Set(headColumns.map(col => col.name));
+
+  return {
+    added: headColumns.filter(col => !baseByName.has(col.name)).map(col => col.name),
+    removed: baseColumns.filter(col => !headNames.has(col.name)).map(col => col.name),
+    modified: headColumns
+      .filter(col => baseByName.has(col.name) &&
+        normalizeExpression(baseByName.get(col.name).expression) !== normalizeExpression(col.expression))
+      .map(col => ({
+        name: col.name,
+        changes: [{ attribute: "transform", before: baseByName.get(col.name).expression, after: col.expression }]
+      }))
+  };
+};
+
+// Compare two versions of extracted YML columns by model and name
+const diffYMLColumns = (baseColumns, headColumns) => {
+  const columnKey = (col) => `${col.model || ""}.${col.name}`;
+  const baseByKey = new Map(safeArray(baseColumns).map(col => [columnKey(col), col]));
+  const headKeys = new Set(safeArray(headColumns).map(columnKey));
+
+  return {
+    added: safeArray(headColumns).filter(col => !baseByKey.has(columnKey(col))),
+    removed: safeArray(baseColumns).filter(col => !headKeys.has(columnKey(col))),
+    modified: safeArray(headColumns)
+      .filter(col => baseByKey.has(columnKey(col)))
+      .map(col => {
+        const baseCol = baseByKey.get(columnKey(col));
+        const changes = [
+          { attribute: "dataType", before: baseCol.data_type, after: col.data_type },
+          { attribute: "nullable", before: baseCol.nullable, after: col.nullable }
+        ].filter(change => change.before !== change.after);
+        return { ...col, changes };
+      })
+      .filter(col => col.changes.length > 0)
+  };
+};
+
+module.exports = {
+  getFileContent,
+  listFilesAtCommit,
+  parseSQLModel,
+  extractColumnsFromSQL,
+  extractColumnsFromYML,
+  diffSQLColumns,
+  diffYMLColumns
+};
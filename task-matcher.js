@@ -0,0 +1,106 @@
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { safeArray } = require("./utils");
+
+const normalizeName = (value) => String(value || "").replace(/["`]/g, "").trim().toLowerCase();
+
+const splitList = (value) => String(value || "")
+  .split(",")
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+// A task that reports where it lives must agree with one of the node's resolved locations
+const storageMatches = (task, storageLocations) => {
+  const taskDatabase = normalizeName(task.database || task.database_name);
+  const taskSchema = normalizeName(task.schema || task.schema_name);
+  if (!taskDatabase && !taskSchema) return true;
+  if (safeArray(storageLocations).length === 0) return true;
+
+  return storageLocations.some(location =>
+    (!taskDatabase || !location.database || normalizeName(location.database) === taskDatabase) &&
+    (!taskSchema || !location.schema || normalizeName(location.schema) === taskSchema));
+};
+
+// dbt tasks are named after the model file
+const createDbtMatcher = (connectionTypes = ["dbt"]) => ({
+  name: "dbt",
+  supports: (task, model) => model.kind === "dbt" && connectionTypes.includes(normalizeName(task?.connection_type)),
+  matches: (task, model) => task.name === model.name
+});
+
+// Coalesce tasks are named after the node; location and storage narrow duplicates
+const createCoalesceMatcher = (connectionTypes = ["coalesce"]) => ({
+  name: "coalesce",
+  supports: (task, model) => model.kind === "coalesce" && connectionTypes.includes(normalizeName(task?.connection_type)),
+  matches: (task, model) => {
+    if (normalizeName(task.name) !== normalizeName(model.name)) return false;
+    const taskLocation = normalizeName(task.location_name || task.locationName);
+    if (taskLocation && model.locationName && taskLocation !== normalizeName(model.locationName)) return false;
+    return storageMatches(task, model.storageLocations);
+  }
+});
+
+// Load explicit repo-name -> DQLabs-task overrides
+const loadTaskOverrides = (mappingFile, rootDir = process.env.GITHUB_WORKSPACE || process.cwd()) => {
+  if (!mappingFile) return [];
+  const fullPath = path.join(rootDir, mappingFile);
+  if (!fs.existsSync(fullPath)) {
+    core.info(`[loadTaskOverrides] No task mapping file at ${mappingFile}`);
+    return [];
+  }
+
+  try {
+    const doc = yaml.load(fs.readFileSync(fullPath, "utf8")) || {};
+    const overrides = safeArray(doc.mappings).filter(entry => entry?.task && (entry.file || entry.node));
+    core.info(`[loadTaskOverrides] Loaded ${overrides.length} task overrides from ${mappingFile}`);
+    return overrides;
+  } catch (error) {
+    core.warning(`[loadTaskOverrides] Could not parse ${mappingFile}: ${error.message}`);
+    return [];
+  }
+};
+
+const findOverride = (overrides, model) => safeArray(overrides).find(entry =>
+  (entry.file && entry.file === model.file) ||
+  (entry.node && normalizeName(entry.node) === normalizeName(`${model.locationName}.${model.name}`)) ||
+  (entry.node && !String(entry.node).includes(".") && normalizeName(entry.node) === normalizeName(model.name)));
+
+// Match DQLabs tasks to changed models: overrides first, then the first matcher that supports the pair
+const matchTasks = (tasks, models, { matchers = [], overrides = [] } = {}) => {
+  const matched = [];
+
+  safeArray(models).forEach(model => {
+    const override = findOverride(overrides, model);
+    const modelTasks = safeArray(tasks).filter(task => {
+      if (!task) return false;
+      if (override) {
+        return normalizeName(task.name) === normalizeName(override.task) &&
+          (!override.connection_type || normalizeName(task.connection_type) === normalizeName(override.connection_type));
+      }
+      return matchers.some(matcher => matcher.supports(task, model) && matcher.matches(task, model));
+    });
+
+    if (modelTasks.length === 0) {
+      core.info(`[matchTasks] No DQLabs task matched ${model.kind} model ${model.name} (${model.file})`);
+    }
+
+    modelTasks.forEach(task => matched.push({
+      ...task,
+      entity: task?.task_id || "",
+      filePath: model.file,
+      matchedBy: override ? "override" : matchers.find(matcher => matcher.supports(task, model) && matcher.matches(task, model))?.name
+    }));
+  });
+
+  return matched;
+};
+
+module.exports = {
+  splitList,
+  createDbtMatcher,
+  createCoalesceMatcher,
+  loadTaskOverrides,
+  matchTasks
+};
@@ -0,0 +1,112 @@
+const { safeArray } = require("./utils");
+const { pairColumns } = require("./coalesce-parser");
+
+const ACCEPTED_VALUES_TEST = "acceptedValues";
+const CHANGE_ORDER = ["removed", "disabled", "modified", "added", "enabled"];
+// Changes that leave the node with less test coverage than before
+const COVERAGE_LOSSES = ["removed", "disabled"];
+
+const columnTestIds = (column) => [
+  ...safeArray(column?.appliedTests),
+  ...(safeArray(column?.acceptedValues).length > 0 ? [ACCEPTED_VALUES_TEST] : [])
+];
+
+// Accepted values always run; other column tests only when their id is in enabledColumnTestIDs
+const isColumnTestEnabled = (node, testId) =>
+  testId === ACCEPTED_VALUES_TEST || safeArray(node?.enabledColumnTestIDs).includes(testId);
+
+const listValues = (values) => (values.length > 0 ? values.join(", ") : "none");
+
+// Tests added, removed, disabled, re-enabled or modified between the base and head version of a node
+const diffNodeTests = (baseNode, headNode) => {
+  const changes = [];
+  const push = (column, test, change, detail = null) => changes.push({ column, test, change, detail });
+
+  const baseTests = new Map(safeArray(baseNode?.nodeTests).map(test => [test.name, test]));
+  const headTests = new Map(safeArray(headNode?.nodeTests).map(test => [test.name, test]));
+  headTests.forEach((test, name) => {
+    const before = baseTests.get(name);
+    if (!before) push(null, name, "added");
+    else if (before.templateString !== test.templateString) push(null, name, "modified", "query changed");
+  });
+  baseTests.forEach((test, name) => {
+    if (!headTests.has(name)) push(null, name, "removed", headNode ? null : "node removed");
+  });
+
+  // testsEnabled switches every test of the node at once, so it is reported once instead of per test
+  if (baseNode && headNode && baseNode.testsEnabled !== headNode.testsEnabled) {
+    push(null, "testsEnabled", headNode.testsEnabled ? "enabled" : "disabled", "all tests of the node");
+  }
+
+  const { pairs, added, removed } = pairColumns(safeArray(baseNode?.columns), safeArray(headNode?.columns));
+  removed.forEach(column => {
+    columnTestIds(column).forEach(testId => push(column.name, testId, "removed", headNode ? "column removed" : "node removed"));
+  });
+  added.forEach(column => {
+    columnTestIds(column).forEach(testId => push(column.name, testId, "added"));
+  });
+  pairs.forEach(([baseColumn, headColumn]) => {
+    const baseIds = columnTestIds(baseColumn);
+    const headIds = columnTestIds(headColumn);
+    headIds.filter(testId => !baseIds.includes(testId)).forEach(testId => push(headColumn.name, testId, "added"));
+    baseIds.filter(testId => !headIds.includes(testId)).forEach(testId => push(headColumn.name, testId, "removed"));
+
+    headIds.filter(testId => baseIds.includes(testId)).forEach(testId => {
+      const wasEnabled = isColumnTestEnabled(baseNode, testId);
+      const isEnabled = isColumnTestEnabled(headNode, testId);
+      if (wasEnabled && !isEnabled) push(headColumn.name, testId, "disabled", "not in enabledColumnTestIDs");
+      else if (!wasEnabled && isEnabled) push(headColumn.name, testId, "enabled");
+      else if (testId === ACCEPTED_VALUES_TEST && baseColumn.acceptedValues.join("\n") !== headColumn.acceptedValues.join("\n")) {
+        push(headColumn.name, testId, "modified", `values ${listValues(baseColumn.acceptedValues)} → ${listValues(headColumn.acceptedValues)}`);
+      }
+    });
+  });
+
+  return changes.sort((a, b) => CHANGE_ORDER.indexOf(a.change) - CHANGE_ORDER.indexOf(b.change));
+};
+
+// One entry per changed node that has test changes
+const getTestCoverageChanges = (nodeChanges) => safeArray(nodeChanges)
+  .filter(change => !change.templateOnly)
+  .map(({ file, node, baseNode, headNode }) => ({
+    file,
+    node: node.name,
+    locationName: node.locationName,
+    tags: safeArray(node.tags),
+    changes: diffNodeTests(baseNode, headNode)
+  }))
+  .filter(entry => entry.changes.length > 0);
+
+const getCoverageLosses = (entry) => entry.changes.filter(change => COVERAGE_LOSSES.includes(change.change));
+
+const formatTest = ({ column, test, detail }) => {
+  const name = column ? `${column}.${test}` : test === "testsEnabled" ? "testsEnabled" : `node test "${test}"`;
+  return detail ? `${name} (${detail})` : name;
+};
+
+// Markdown section listing test changes per node; tags are shown so production nodes stand out
+const buildTestCoverageSection = (testCoverageChanges) => {
+  if (safeArray(testCoverageChanges).length === 0) return "";
+
+  let section = "### Test coverage changes\n";
+  testCoverageChanges.forEach(entry => {
+    const tags = entry.tags.length > 0 ? ` · tags: ${entry.tags.join(", ")}` : "";
+    const loss = getCoverageLosses(entry).length > 0 ? " ⚠️" : "";
+    section += `**${entry.locationName ? `${entry.locationName}.` : ""}${entry.node}** (\`${entry.file}\`)${tags}${loss}\n`;
+    CHANGE_ORDER.forEach(change => {
+      const tests = entry.changes.filter(item => item.change === change);
+      if (tests.length === 0) return;
+      section += `- ${change.charAt(0).toUpperCase()}${change.slice(1)}(${tests.length}): ${tests.map(formatTest).join(", ")}\n`;
+    });
+  });
+  return section + "\n";
+};
+
+module.exports = {
+  COVERAGE_LOSSES,
+  diffNodeTests,
+  getTestCoverageChanges,
+  getCoverageLosses,
+  formatTest,
+  buildTestCoverageSection
+};
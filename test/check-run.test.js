@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildColumnAnnotations, publishCheckRun } = require("../check-run");
+
+const file = "nodes/SRC-TEST_CU.yml";
+const impact = (table_name, asset_group, changed_column = "CUSTOMER_ID") => ({ table_name, asset_group, changed_column });
+
+test("annotations take the level of the most severe impacted asset and list the top assets", () => {
+  const columnImpacts = {
+    [file]: {
+      direct: [impact("FCT_TEST_CU", "data"), impact("CUSTOMER_DASHBOARD", "report"), impact("FCT_TEST_CU", "data", "FIRST_NAME")],
+      indirect: [impact("REVENUE_REFRESH", "pipeline"), impact("CUSTOMER_DASHBOARD", "report"), ...["A", "B", "C", "D"].map(name => impact(name, "data"))]
+    }
+  };
+  const entries = [
+    { kind: "modified", column: "CUSTOMER_ID", file, line: 12, node: "TEST_CU", changes: [{ attribute: "dataType" }] },
+    { kind: "renamed", column: "FIRST_NAME", newName: "GIVEN_NAME", file, line: 20, node: "TEST_CU" },
+    { kind: "removed", column: "LEGACY", file }
+  ];
+
+  const [modified, renamed, removed] = buildColumnAnnotations(entries, columnImpacts);
+
+  assert.deepStrictEqual(
+    [modified.path, modified.start_line, modified.end_line, modified.annotation_level, modified.title],
+    [file, 12, 12, "failure", "Column TEST_CU.CUSTOMER_ID modified (dataType)"]
+  );
+  assert.strictEqual(
+    modified.message,
+    "7 downstream asset(s) impacted.\nTop impacted: CUSTOMER_DASHBOARD (report), REVENUE_REFRESH (pipeline, indirect), FCT_TEST_CU (data), A (data, indirect), B (data, indirect) and 2 more"
+  );
+  assert.deepStrictEqual([renamed.annotation_level, renamed.title], ["notice", "Column TEST_CU.FIRST_NAME renamed to GIVEN_NAME"]);
+  assert.deepStrictEqual([removed.start_line, removed.annotation_level, removed.message], [1, "notice", "0 downstream asset(s) impacted."]);
+
+  const pipelineOnly = buildColumnAnnotations([entries[0]], { [file]: { direct: [impact("REVENUE_REFRESH", "pipeline")] } });
+  assert.strictEqual(pipelineOnly[0].annotation_level, "warning");
+});
+
+test("the check run is created with the first 50 annotations and updated with the rest", async () => {
+  const calls = [];
+  const octokit = {
+    rest: {
+      checks: {
+        create: async (params) => {
+          calls.push(["create", params]);
+          return { data: { id: 7 } };
+        },
+        update: async (params) => {
+          calls.push(["update", params]);
+          return { data: { id: 7 } };
+        }
+      }
+    }
+  };
+  const annotations = Array.from({ length: 120 }, (_, i) => ({ path: file, start_line: i + 1, end_line: i + 1, annotation_level: "notice", message: `${i}` }));
+
+  const checkRun = await publishCheckRun(octokit, {
+    owner: "acme", repo: "project", headSha: "abc123", name: "DQLabs", title: "Impact", summary: "x".repeat(70000), conclusion: "neutral", annotations
+  });
+
+  assert.strictEqual(checkRun.id, 7);
+  assert.deepStrictEqual(calls.map(([method, params]) => [method, params.output.annotations.length]), [["create", 50], ["update", 50], ["update", 20]]);
+  assert.deepStrictEqual([calls[0][1].head_sha, calls[0][1].conclusion, calls[1][1].check_run_id], ["abc123", "neutral", 7]);
+  assert.deepStrictEqual(calls.map(([, params]) => params.output.annotations[0].message), ["0", "50", "100"]);
+  assert.ok(calls[0][1].output.summary.length <= 65535 && calls[0][1].output.summary.endsWith("*(truncated)*"));
+
+  calls.length = 0;
+  await publishCheckRun(octokit, { owner: "acme", repo: "project", headSha: "abc123", name: "DQLabs", title: "Impact", summary: "ok", conclusion: "success", annotations: [] });
+  assert.deepStrictEqual(calls.map(([method, params]) => [method, params.output.annotations.length]), [["create", 0]]);
+});
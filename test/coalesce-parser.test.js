@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { isCoalesceNodeFile, parseNodeYAML, pairColumns, diffNodeColumns } = require("../coalesce-parser");
+
+const file = "nodes/SRC-FCT_TEST_CU.yml";
+const content = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+
+const column = (name, counter, extra = {}) => ({ name, columnCounter: counter, dataType: "NUMBER", nullable: true, defaultValue: "", description: "", transform: "", ...extra });
+
+test("only files directly under the project's nodes directory are Coalesce nodes", () => {
+  assert.strictEqual(isCoalesceNodeFile("nodes/SRC-TEST_CU.yml"), true);
+  assert.strictEqual(isCoalesceNodeFile("test/fixtures/coalesce-packages/nodes/STG-INC_ORDERS.yml"), false);
+  assert.strictEqual(isCoalesceNodeFile("nodes/archive/SRC-OLD.yml"), false);
+  assert.strictEqual(isCoalesceNodeFile("models/nodes.sql"), false);
+});
+
+test("a node document is parsed into its location, dependencies and columns", () => {
+  const node = parseNodeYAML(content, file);
+
+  assert.deepStrictEqual(
+    [node.id, node.name, node.locationName, node.sqlType, node.materializationType, node.file],
+    ["47f27197-1f83-4c38-bc51-2f9d45a265cf", "FCT_TEST_CU", "SRC", "Fact", "table", file]
+  );
+  assert.deepStrictEqual(node.dependencies, [{ locationName: "SRC", nodeName: "TEST_CU" }]);
+  const customerId = node.columns.find(col => col.name === "CUSTOMER_ID");
+  assert.deepStrictEqual(
+    [customerId.dataType, customerId.columnCounter, customerId.sourceColumns[0].columnCounter],
+    ["NUMBER", "93efd724-fddf-47c4-9931-48f166a4d665", "d5dc51fe-55f0-45ee-87ca-a138971b4551"]
+  );
+
+  assert.strictEqual(parseNodeYAML("type: Environment\nname: DEV\n", "environments/1.yml"), null);
+  assert.strictEqual(parseNodeYAML("type: [unclosed", file), null);
+  assert.strictEqual(parseNodeYAML("", file), null);
+});
+
+test("columns pair by columnCounter first and by name for columns without a match", () => {
+  const base = [column("ID", "c1"), column("NAME", null), column("LEGACY", "c3")];
+  const head = [column("CUSTOMER_ID", "c1"), column("NAME", "c2"), column("EMAIL", "c4")];
+
+  const { pairs, added, removed } = pairColumns(base, head);
+
+  assert.deepStrictEqual(pairs.map(([baseCol, headCol]) => `${baseCol.name}->${headCol.name}`), ["ID->CUSTOMER_ID", "NAME->NAME"]);
+  assert.deepStrictEqual(added.map(col => col.name), ["EMAIL"]);
+  assert.deepStrictEqual(removed.map(col => col.name), ["LEGACY"]);
+});
+
+test("a renamed column keeps its attribute changes and modified columns follow head order", () => {
+  const baseNode = { columns: [column("STATUS", "c2"), column("ID", "c1"), column("GONE", "c9")] };
+  const headNode = {
+    columns: [
+      column("CUSTOMER_ID", "c1", { dataType: "VARCHAR" }),
+      column("STATUS", "c2", { description: "Order status", transform: "UPPER(STATUS)" }),
+      column("NEW", "c5")
+    ]
+  };
+
+  const diff = diffNodeColumns(baseNode, headNode);
+
+  assert.deepStrictEqual(diff.added.map(col => col.name), ["NEW"]);
+  assert.deepStrictEqual(diff.removed.map(col => col.name), ["GONE"]);
+  assert.deepStrictEqual(diff.renamed.map(col => [col.previousName, col.name, col.changes.map(change => change.attribute)]), [["ID", "CUSTOMER_ID", ["dataType"]]]);
+  assert.deepStrictEqual(diff.modified.map(col => [col.name, col.changes.map(change => change.attribute)]), [["STATUS", ["description", "transform"]]]);
+  assert.deepStrictEqual(diffNodeColumns(null, headNode).added.length, 3);
+});
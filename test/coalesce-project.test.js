@@ -0,0 +1,167 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const {
+  isNodeTypeFile,
+  getNodeTypeDirectory,
+  parseNodeTypeId,
+  nodeUsesNodeType,
+  loadEnvironments,
+  loadLocations,
+  resolveStorageLocation,
+  getFullyQualifiedNames,
+  selectEnvironments,
+  parsePackageYAML,
+  diffPackages,
+  diffPackageVariables
+} = require("../coalesce-project");
+const { loadProjectNodes } = require("../lineage-graph");
+const { getNodeTypeChanges, getPackageChanges } = require("../index");
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "coalesce-packages");
+
+const file = "packages/Incremental.yml";
+const content = fs.readFileSync(path.join(REPO_ROOT, file), "utf8");
+
+const commit = (dir, message) => {
+  execFileSync("git", ["add", "-A"], { cwd: dir });
+  execFileSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", "commit", "-q", "-m", message], { cwd: dir });
+  return execFileSync("git", ["rev-parse", "HEAD"], { cwd: dir, encoding: "utf8" }).trim();
+};
+
+test("a toggled package node type resolves to the nodes built from it", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-packages-"));
+  const env = { ...process.env };
+  t.after(() => {
+    process.env = env;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Base: the project's package and the fixture nodes; head: the fixture package with 278 disabled
+  execFileSync("git", ["init", "-q"], { cwd: dir });
+  fs.cpSync(path.join(FIXTURES_DIR, "nodes"), path.join(dir, "nodes"), { recursive: true });
+  fs.mkdirSync(path.join(dir, "packages"));
+  fs.writeFileSync(path.join(dir, file), content);
+  const baseSha = commit(dir, "base");
+  fs.copyFileSync(path.join(FIXTURES_DIR, file), path.join(dir, file));
+  const headSha = commit(dir, "head");
+
+  Object.assign(process.env, { GITHUB_WORKSPACE: dir, GITHUB_BASE_SHA: baseSha, GITHUB_HEAD_SHA: headSha });
+  const [packageChange, ...others] = await getPackageChanges([file], await loadProjectNodes(headSha));
+
+  assert.strictEqual(others.length, 0);
+  assert.strictEqual(packageChange.id, "@coalesce/snowflake/incremental-loading");
+  assert.strictEqual(packageChange.release, null);
+  assert.deepStrictEqual(packageChange.nodeTypeChanges, [{ id: "278", change: "disabled" }]);
+  assert.deepStrictEqual(packageChange.affectedNodeTypeIds, ["278"]);
+  assert.deepStrictEqual(packageChange.packageVariables, { before: "", after: "schema: RAW\nlookback: 3" });
+  assert.deepStrictEqual(packageChange.nodes.map(node => node.name), ["INC_ORDERS"]);
+});
+
+test("a new release affects every node type of the package", () => {
+  const basePackage = parsePackageYAML(content, file);
+  const headPackage = parsePackageYAML(content.replace(/releaseID: .*/, "releaseID: new-release"), file);
+
+  const packageChange = diffPackages(basePackage, headPackage);
+
+  assert.deepStrictEqual(packageChange.release, { before: "694d5ccd-70b4-4fff-a2f5-cab4e61ff864", after: "new-release" });
+  assert.deepStrictEqual(packageChange.nodeTypeChanges, []);
+  assert.deepStrictEqual(packageChange.affectedNodeTypeIds, ["230", "278", "281", "394"]);
+});
+
+test("package variable diffs keep unchanged lines as context", () => {
+  assert.deepStrictEqual(
+    diffPackageVariables("schema: RAW\nlookback: 3\nmode: full", "schema: RAW\nlookback: 7\nmode: full"),
+    [" schema: RAW", "-lookback: 3", "+lookback: 7", " mode: full"]
+  );
+});
+
+test("node type files resolve to the id nodes reference through sqlType", () => {
+  assert.strictEqual(isNodeTypeFile("nodeTypes/Dimension-Dimension/run.sql.j2"), true);
+  assert.strictEqual(isNodeTypeFile("nodeTypes/Dimension-Dimension/definition.yaml"), true);
+  assert.strictEqual(isNodeTypeFile("nodeTypes/Dimension-Dimension/README.md"), false);
+  assert.strictEqual(isNodeTypeFile("test/fixtures/project/nodeTypes/Fact-Fact/run.sql.j2"), false);
+  assert.strictEqual(getNodeTypeDirectory("nodeTypes/Dimension-Dimension/create.sql.j2"), "nodeTypes/Dimension-Dimension");
+  assert.strictEqual(getNodeTypeDirectory("nodes/SRC-TEST_CU.yml"), null);
+
+  const definition = fs.readFileSync(path.join(REPO_ROOT, "nodeTypes/PersistentStage-persistentStage/definition.yml"), "utf8");
+  assert.strictEqual(parseNodeTypeId(definition, "nodeTypes/PersistentStage-persistentStage"), "persistentStage");
+  // Without a readable definition the id is the directory suffix
+  assert.strictEqual(parseNodeTypeId(null, "nodeTypes/Custom-65"), "65");
+  assert.strictEqual(parseNodeTypeId("id: [", "nodeTypes/Stage"), "Stage");
+
+  assert.strictEqual(nodeUsesNodeType({ sqlType: "Fact" }, "Fact"), true);
+  assert.strictEqual(nodeUsesNodeType({ sqlType: "@coalesce/snowflake/incremental-loading:::230" }, "230"), true);
+  assert.strictEqual(nodeUsesNodeType({ sqlType: "@coalesce/snowflake/incremental-loading:::2300" }, "230"), false);
+  assert.strictEqual(nodeUsesNodeType({ sqlType: "Fact" }, "Fac"), false);
+});
+
+test("changed node type templates resolve to their nodes, through the base definition once deleted", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-node-types-"));
+  const env = { ...process.env };
+  t.after(() => {
+    process.env = env;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  execFileSync("git", ["init", "-q"], { cwd: dir });
+  ["nodes", "nodeTypes"].forEach(entry => fs.cpSync(path.join(REPO_ROOT, entry), path.join(dir, entry), { recursive: true }));
+  // The directory suffix of the deleted node type does not match its id, so only the base definition resolves it
+  fs.renameSync(path.join(dir, "nodeTypes/Stage-Stage"), path.join(dir, "nodeTypes/LegacyStage-v1"));
+  const baseSha = commit(dir, "base");
+  fs.appendFileSync(path.join(dir, "nodeTypes/Fact-Fact/definition.yml"), "# edited\n");
+  fs.rmSync(path.join(dir, "nodeTypes/LegacyStage-v1"), { recursive: true });
+  const headSha = commit(dir, "head");
+
+  Object.assign(process.env, { GITHUB_WORKSPACE: dir, GITHUB_BASE_SHA: baseSha, GITHUB_HEAD_SHA: headSha });
+  const changes = await getNodeTypeChanges(
+    ["nodeTypes/Fact-Fact/definition.yml", "nodeTypes/LegacyStage-v1/create.sql.j2", "nodeTypes/LegacyStage-v1/definition.yml", "nodes/SRC-TEST_CU.yml"],
+    await loadProjectNodes(headSha)
+  );
+
+  assert.deepStrictEqual(changes.map(change => [change.id, change.directory, change.files.length, change.nodes.map(node => node.name).sort()]), [
+    ["Fact", "nodeTypes/Fact-Fact", 1, ["FCT_NODE", "FCT_TEST_CU", "TEST_QA"]],
+    ["Stage", "nodeTypes/LegacyStage-v1", 2, ["TEST_CU"]]
+  ]);
+});
+
+test("environments and locations.yml resolve a node to one fully qualified name per environment", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-environments-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.cpSync(path.join(REPO_ROOT, "environments"), path.join(dir, "environments"), { recursive: true });
+  fs.copyFileSync(path.join(REPO_ROOT, "locations.yml"), path.join(dir, "locations.yml"));
+  // PROD maps no SRC location, so nodes in SRC have no name there
+  fs.writeFileSync(path.join(dir, "environments", "PROD-18.yml"), "id: 18\nname: PROD\ntype: Environment\nmappingDefinitions:\n  STG:\n    database: ANALYTICS\n    schema: STAGING\n");
+  fs.writeFileSync(path.join(dir, "environments", "notes.yml"), "type: Job\nname: not an environment\n");
+
+  const environments = loadEnvironments(dir);
+  const locations = loadLocations(dir);
+  assert.deepStrictEqual(environments.map(environment => [environment.id, environment.name, environment.file]), [
+    ["17", "DQLABS_QA", "environments/DQLABS_QA-17.yml"],
+    ["18", "PROD", "environments/PROD-18.yml"]
+  ]);
+  assert.deepStrictEqual(locations, { defaultStorageMapping: "SRC", locations: ["SRC"] });
+
+  const [qa, prod] = environments;
+  assert.deepStrictEqual(resolveStorageLocation({ name: "TEST_CU", locationName: "SRC" }, qa, locations), {
+    environment: "DQLABS_QA", locationName: "SRC", database: "DQLABS_QA", schema: "DQLABS_QA"
+  });
+  // Nodes without a location use the default storage mapping, and node-level overrides win
+  assert.strictEqual(resolveStorageLocation({ name: "TEST_CU" }, qa, locations).locationName, "SRC");
+  assert.deepStrictEqual(getFullyQualifiedNames({ name: "TEST_CU", locationName: "STG", schema: "CUSTOM" }, environments, locations), [
+    { environment: "PROD", database: "ANALYTICS", schema: "CUSTOM", name: "ANALYTICS.CUSTOM.TEST_CU" }
+  ]);
+  assert.deepStrictEqual(getFullyQualifiedNames({ name: "TEST_CU", locationName: "SRC" }, environments, locations).map(fqn => fqn.name), ["DQLABS_QA.DQLABS_QA.TEST_CU"]);
+  assert.deepStrictEqual(getFullyQualifiedNames({ name: "TEST_CU", locationName: "MISSING" }, environments, locations), []);
+  assert.deepStrictEqual(resolveStorageLocation({ name: "TEST_CU" }, prod, null), { environment: "PROD", locationName: "", database: "", schema: "" });
+
+  assert.deepStrictEqual(selectEnvironments(environments, " prod, 17 ").map(environment => environment.name), ["DQLABS_QA", "PROD"]);
+  assert.deepStrictEqual(selectEnvironments(environments, "").length, 2);
+  assert.deepStrictEqual(selectEnvironments(environments, "STAGING"), []);
+  assert.deepStrictEqual([loadEnvironments(path.join(dir, "missing")), loadLocations(path.join(dir, "missing"))], [[], { defaultStorageMapping: "", locations: [] }]);
+});
@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { normalizeColumnName, matchImpactedFields, summarizeMatchTypes } = require("../column-matcher");
+
+const matchedNames = (matches) => matches.map(({ table, field, changedColumn, matchType }) => `${table.name}.${field.name} <- ${changedColumn} (${matchType})`);
+
+test("column names are compared without case or quotes", () => {
+  assert.strictEqual(normalizeColumnName('"Customer_ID"'), "customer_id");
+  assert.strictEqual(normalizeColumnName("`customer_id`"), "customer_id");
+  assert.strictEqual(normalizeColumnName("[CUSTOMER_ID]"), "customer_id");
+});
+
+test("a changed column no longer matches fields that merely contain its name", () => {
+  const tables = [{ name: "ORDERS", fields: [{ id: 1, name: "CUSTOMER_ID" }, { id: 2, name: "VALID_FLAG" }, { id: 3, name: '"id"' }] }];
+
+  assert.deepStrictEqual(matchedNames(matchImpactedFields(tables, ["ID"], { nameFallback: true })), ["ORDERS.\"id\" <- ID (name)"]);
+  assert.deepStrictEqual(matchImpactedFields(tables, ["ID"]), []);
+});
+
+test("DQLabs upstream field ids are followed through intermediate tables", () => {
+  const tables = [
+    { name: "CUSTOMERS", fields: [{ id: "c1", name: "ID" }, { id: "c2", name: "NAME" }] },
+    { name: "ORDERS", fields: [{ id: "o1", name: "CUSTOMER_KEY", upstream_field_ids: ["c1"] }, { id: "o2", name: "ID", upstream_field_ids: [] }] },
+    { name: "DASHBOARD", fields: [{ id: "d1", name: "KEY", upstream_field_ids: ["o1"] }] }
+  ];
+
+  // ORDERS.ID has lineage that does not reach CUSTOMERS.ID, so its name does not count
+  assert.deepStrictEqual(matchedNames(matchImpactedFields(tables, ["ID"], { sourceName: "customers", nameFallback: true })), [
+    "ORDERS.CUSTOMER_KEY <- ID (dqlabs_lineage)",
+    "DASHBOARD.KEY <- ID (dqlabs_lineage)"
+  ]);
+});
+
+test("Coalesce column lineage is used for fields without DQLabs lineage", () => {
+  const tables = [{ name: "FCT_CUSTOMERS", fields: [{ id: 1, name: "CUST_ID" }, { id: 2, name: "CUSTOMER_ID" }] }];
+  const localColumns = new Map([["fct_customers.cust_id", "CUSTOMER_ID"]]);
+
+  const matches = matchImpactedFields(tables, ["CUSTOMER_ID"], { sourceName: "STG_CUSTOMERS", localColumns, nameFallback: true });
+  assert.deepStrictEqual(matchedNames(matches), [
+    "FCT_CUSTOMERS.CUST_ID <- CUSTOMER_ID (coalesce_lineage)",
+    "FCT_CUSTOMERS.CUSTOMER_ID <- CUSTOMER_ID (name)"
+  ]);
+  assert.strictEqual(
+    summarizeMatchTypes(matches.map(match => ({ match_type: match.matchType }))),
+    "1 by Coalesce column lineage, 1 by name match"
+  );
+});
@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { commentMarker, getCommentPart, truncateLists, renderCommentParts } = require("../comment-renderer");
+
+const listSection = (title, count) =>
+  `### ${title}\n<details>\n<summary><b>${title} (${count})</b></summary>\n\n` +
+  Array.from({ length: count }, (_, i) => `- ${title.toUpperCase()}_ASSET_${i}`).join("\n") +
+  "\n</details>\n";
+
+test("the report falls back from inline JSON to a JSON note, shorter lists and several comments", () => {
+  const summary = `## Impact Analysis Report\n\n${listSection("Direct", 30)}\n${listSection("Indirect", 30)}`;
+  const json = JSON.stringify({ assets: Array.from({ length: 50 }, (_, i) => `ASSET_${i}`) });
+  const options = { detailsUrl: "https://example.test/run" };
+
+  assert.strictEqual(renderCommentParts(summary, json, { ...options, budget: 100000 }).jsonInlined, true);
+
+  const noted = renderCommentParts(summary, json, { ...options, budget: summary.length + 300 });
+  assert.deepStrictEqual([noted.parts.length, noted.jsonInlined, noted.truncated], [1, false, false]);
+  assert.ok(noted.parts[0].includes("https://example.test/run"));
+
+  const shortened = renderCommentParts(summary, json, { ...options, budget: truncateLists(summary, 20).length + 300 });
+  assert.deepStrictEqual([shortened.parts.length, shortened.truncated], [1, true]);
+  assert.ok(shortened.parts[0].includes("- *…and 10 more"));
+
+  const split = renderCommentParts(summary, json, { ...options, budget: 800 });
+  assert.ok(split.parts.length > 1);
+  split.parts.forEach(part => assert.ok(part.length <= 800, `part of ${part.length} characters`));
+  assert.ok(split.parts[1].startsWith("### "), "parts start at a section heading");
+});
+
+test("comment markers belong to one comment key", () => {
+  assert.strictEqual(getCommentPart(`${commentMarker("prod env", 2)}\nbody`, "prod env"), 2);
+  assert.strictEqual(getCommentPart(commentMarker("prod env", 2), "default"), null);
+  // Markers from before comment_key existed belong to the default key
+  assert.strictEqual(getCommentPart("<!-- dqlabs-impact-analysis:part=1 -->", "default"), 1);
+});
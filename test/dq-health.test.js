@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { normalizeHealth, attachAssetHealth, getUnhealthyAssets } = require("../dq-health");
+
+test("a low score, open alerts and a failed last run each make an asset unhealthy", () => {
+  const health = normalizeHealth({ score: 62, alerts_count: 2, last_run: { status: "Failed", run_at: "2026-10-18T07:30:00Z" } }, 80);
+
+  assert.deepStrictEqual(health, {
+    available: true,
+    score: 62,
+    active_alerts: 2,
+    last_run_status: "Failed",
+    last_run_at: "2026-10-18T07:30:00Z",
+    unhealthy: true,
+    reasons: ["DQ score 62 below 80", "2 active alerts", "last run failed"]
+  });
+  assert.strictEqual(normalizeHealth({ score: 96.5, alerts_count: 0, last_run: { status: "Success" } }, 80).unhealthy, false);
+  assert.strictEqual(normalizeHealth({}, 80).available, false);
+});
+
+test("each DQLabs asset is looked up once and local assets are skipped", async () => {
+  const requests = [];
+  const client = {
+    failures: [],
+    post: async (requestPath, payload) => {
+      requests.push([requestPath, payload.asset_id]);
+      if (payload.asset_id === "broken") {
+        client.failures.push(payload.asset_id);
+        throw new Error("HTTP 500");
+      }
+      return { data: { response: { data: { score: payload.asset_id === "orders" ? 40 : 95 } } } };
+    }
+  };
+  const orders = (connection) => ({ id: "orders", name: "ORDERS", connection_id: connection });
+  const fileImpacts = {
+    "nodes/A.yml": { direct: [orders("snowflake"), { id: "broken", name: "BROKEN", connection_id: "snowflake" }], indirect: [{ id: "node-1", name: "LOCAL", source: "local" }] },
+    "nodes/B.yml": { direct: [orders("snowflake"), orders("postgres")], indirect: [] }
+  };
+
+  const status = await attachAssetHealth(client, fileImpacts, { path: "/api/asset/quality/", scoreThreshold: 80 });
+
+  assert.deepStrictEqual(status, { requested: 3, failed: 1 });
+  assert.strictEqual(requests.length, 3);
+  assert.strictEqual(fileImpacts["nodes/B.yml"].direct[0].dq_health.score, 40);
+  assert.strictEqual(fileImpacts["nodes/A.yml"].indirect[0].dq_health, undefined);
+
+  // Same name in two connections stays two entries
+  assert.deepStrictEqual(
+    getUnhealthyAssets(fileImpacts, item => `${item.name} (${item.connection_id})`).map(asset => asset.name),
+    ["ORDERS (snowflake)", "ORDERS (postgres)"]
+  );
+});
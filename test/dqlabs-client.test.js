@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createDQLabsClient } = require("../dqlabs-client");
+
+// Answers /flaky with 503 the first time and everything else with 200, recording the order of requests
+const startServer = async () => {
+  const requests = [];
+  let flakyCalls = 0;
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const fail = req.url === "/flaky" && flakyCalls++ === 0;
+    res.writeHead(fail ? 503 : 200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ url: req.url }));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return { requests, baseUrl: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+test("a request backing off gives its concurrency slot to the next one", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const client = createDQLabsClient({ baseUrl: server.baseUrl, concurrency: 1, maxRetries: 1, retryBaseDelay: 200 });
+
+  const responses = await Promise.all([client.post("/flaky", {}), client.post("/steady", {})]);
+
+  assert.deepStrictEqual(responses.map(response => response.data.url), ["/flaky", "/steady"]);
+  assert.deepStrictEqual(server.requests, ["/flaky", "/steady", "/flaky"]);
+  assert.strictEqual(client.isIncomplete(), false);
+});
+
+test("a missing base URL fails at once without retries", async () => {
+  const client = createDQLabsClient({ baseUrl: "", maxRetries: 3, retryBaseDelay: 10000 });
+
+  await assert.rejects(client.post("/api/pipeline/task/", {}, "pipeline tasks"), /base URL is not configured/);
+  assert.deepStrictEqual(client.failures.map(failure => [failure.label, failure.attempts]), [["pipeline tasks", 0]]);
+});
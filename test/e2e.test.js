@@ -0,0 +1,245 @@
+// End-to-end runs of the action against a throwaway copy of this repo's Coalesce project and the
+// mock DQLabs server. Snapshots live in test/__snapshots__; refresh them with UPDATE_SNAPSHOTS=1.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync, spawn } = require("child_process");
+const { startMockServer } = require("./mock-dqlabs-server");
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+const SNAPSHOT_DIR = path.join(__dirname, "__snapshots__");
+const PROJECT_ENTRIES = ["nodes", "environments", "jobs", "subgraphs", "nodeTypes", "packages", "locations.yml"];
+
+let mock;
+
+before(async () => {
+  mock = await startMockServer({ fixturesDir: path.join(__dirname, "fixtures", "dqlabs") });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+const git = (cwd, ...args) => execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+
+// Base commit with the project as it is today, head commit with the edit applied.
+// The repo is removed when the test ends, whether or not its assertions passed.
+const createProjectRepo = (t, edit) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-e2e-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  PROJECT_ENTRIES.forEach(entry => fs.cpSync(path.join(REPO_ROOT, entry), path.join(dir, entry), { recursive: true }));
+
+  git(dir, "init", "-q");
+  git(dir, "add", "-A");
+  git(dir, "-c", "user.name=e2e", "-c", "user.email=e2e@example.com", "commit", "-q", "-m", "base");
+  const changedFiles = edit(dir);
+  git(dir, "add", "-A");
+  git(dir, "-c", "user.name=e2e", "-c", "user.email=e2e@example.com", "commit", "-q", "-m", "head");
+
+  return { dir, changedFiles, baseSha: git(dir, "rev-parse", "HEAD~1"), headSha: git(dir, "rev-parse", "HEAD") };
+};
+
+const editFile = (dir, file, from, to) => {
+  const fullPath = path.join(dir, file);
+  const content = fs.readFileSync(fullPath, "utf8");
+  assert.ok(content.includes(from), `${file} does not contain ${from}`);
+  fs.writeFileSync(fullPath, content.replace(from, to));
+};
+
+// GITHUB_OUTPUT uses name<<delimiter blocks
+const parseOutputs = (file) => {
+  const outputs = {};
+  const content = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+  const pattern = /^([^<\n]+)<<(\S+)\n([\s\S]*?)\n\2$/gm;
+  let match;
+  while ((match = pattern.exec(content)) !== null) outputs[match[1]] = match[3];
+  return outputs;
+};
+
+// Run index.js the way the runner does: inputs as INPUT_* variables, no PR payload.
+// The child runs asynchronously so the in-process mock server can answer it.
+const runAction = (repo, inputs) => new Promise((resolve, reject) => {
+  const env = {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    GITHUB_WORKSPACE: repo.dir,
+    GITHUB_BASE_SHA: repo.baseSha,
+    GITHUB_HEAD_SHA: repo.headSha,
+    GITHUB_REPOSITORY: "example/coalesce-project",
+    GITHUB_STEP_SUMMARY: path.join(repo.dir, "step-summary.md"),
+    GITHUB_OUTPUT: path.join(repo.dir, "outputs.txt")
+  };
+  fs.writeFileSync(env.GITHUB_STEP_SUMMARY, "");
+  fs.writeFileSync(env.GITHUB_OUTPUT, "");
+  Object.entries({ changed_files_list: repo.changedFiles.join(","), ...inputs }).forEach(([name, value]) => {
+    env[`INPUT_${name.toUpperCase()}`] = value;
+  });
+
+  const child = spawn(process.execPath, [path.join(REPO_ROOT, "index.js")], { cwd: repo.dir, env });
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", chunk => {
+    stdout += chunk;
+  });
+  child.stderr.on("data", chunk => {
+    stderr += chunk;
+  });
+  const timer = setTimeout(() => child.kill(), 60000);
+  child.on("error", reject);
+  child.on("close", status => {
+    clearTimeout(timer);
+    resolve({ status, stdout, stderr, outputs: parseOutputs(env.GITHUB_OUTPUT) });
+  });
+});
+
+// Strip values that change between runs: temp paths, ports, SHAs and timestamps
+const normalize = (text, repo) => text
+  .split(repo.dir).join("<workspace>")
+  .split(`http://127.0.0.1:${mock.port}`).join("<dqlabs>")
+  .split(repo.baseSha).join("<base-sha>")
+  .split(repo.headSha).join("<head-sha>")
+  .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, "<timestamp>");
+
+const matchSnapshot = (name, actual) => {
+  const file = path.join(SNAPSHOT_DIR, name);
+  if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(file) && !process.env.CI)) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `Missing snapshot ${name}; run the tests with UPDATE_SNAPSHOTS=1`);
+  assert.strictEqual(actual, fs.readFileSync(file, "utf8"), `Snapshot ${name} changed; run the tests with UPDATE_SNAPSHOTS=1 if this is intended`);
+};
+
+const snapshotRun = (name, repo, result) => {
+  assert.strictEqual(result.status, 0, `action exited with ${result.status}\n${result.stdout}\n${result.stderr}`);
+  assert.ok(result.outputs.impact_markdown, "impact_markdown output is missing");
+  assert.ok(result.outputs.impact_json_path, "impact_json_path output is missing");
+
+  matchSnapshot(`${name}.md`, normalize(result.outputs.impact_markdown, repo));
+  const report = fs.readFileSync(result.outputs.impact_json_path, "utf8");
+  matchSnapshot(`${name}.json`, `${normalize(report, repo)}\n`);
+  return JSON.parse(report);
+};
+
+test("data type change on a Coalesce node column reaches API and local consumers", async (t) => {
+  const repo = createProjectRepo(t, dir => {
+    // CUSTOMER_ID is the first column of TEST_CU
+    editFile(dir, "nodes/SRC-TEST_CU.yml", "dataType: NUMBER", "dataType: VARCHAR");
+    return ["nodes/SRC-TEST_CU.yml"];
+  });
+  const requestCount = mock.requests.length;
+
+  const result = await runAction(repo, {
+    api_client_id: "e2e-client",
+    api_client_secret: "e2e-secret",
+    dqlabs_base_url: `http://127.0.0.1:${mock.port}`,
+    dqlabs_createlink_url: "https://dqlabs.example",
+    lineage_source: "both",
+    policy_mode: "warn",
+    dq_health: "true"
+  });
+  const report = snapshotRun("coalesce-data-type-change", repo, result);
+
+  const fixtures = mock.requests.slice(requestCount).map(request => request.fixture);
+  assert.ok(fixtures.includes(path.join("pipeline-task", "page-0.json")));
+  assert.ok(fixtures.includes(path.join("impact-analysis", "task-test-cu.column.direct.offset-0.json")));
+  assert.ok(fixtures.includes(path.join("asset-quality", "report-customer-dashboard.json")));
+  assert.strictEqual(report.asset_impacts.direct.find(asset => asset.model_name === "CUSTOMER_DASHBOARD").unhealthy, true);
+  assert.strictEqual(report.policy.result, "warn");
+  assert.ok(report.policy.breaking_changes.some(change => change.column_name === "CUSTOMER_ID"));
+});
+
+test("column rename on a Coalesce node with local lineage only", async (t) => {
+  const repo = createProjectRepo(t, dir => {
+    editFile(dir, "nodes/SRC-TEST_CU.yml", "name: FIRST_NAME", "name: GIVEN_NAME");
+    return ["nodes/SRC-TEST_CU.yml"];
+  });
+  const requestCount = mock.requests.length;
+
+  const result = await runAction(repo, { lineage_source: "local" });
+  const report = snapshotRun("coalesce-column-rename-local", repo, result);
+
+  assert.strictEqual(mock.requests.length, requestCount, "local lineage must not call DQLabs");
+  const nodeChange = report.coalesce_column_changes.find(change => change.node_name === "TEST_CU");
+  assert.deepStrictEqual(nodeChange.renamed.map(column => [column.previous_name, column.name]), [["FIRST_NAME", "GIVEN_NAME"]]);
+});
+
+test("disabled tests on a Coalesce node are reported and violate the policy", async (t) => {
+  const repo = createProjectRepo(t, dir => {
+    editFile(dir, "nodes/SRC-TEST_CU.yml", "testsEnabled: true", "testsEnabled: false");
+    editFile(dir, "nodes/SRC-TEST_CU.yml", "    enabledColumnTestIDs:\n      - isDistinct\n", "    enabledColumnTestIDs:\n");
+    return ["nodes/SRC-TEST_CU.yml"];
+  });
+
+  const result = await runAction(repo, { lineage_source: "local", policy_mode: "warn" });
+  const report = snapshotRun("coalesce-tests-disabled", repo, result);
+
+  const nodeTests = report.test_coverage_changes.find(entry => entry.node_name === "TEST_CU");
+  assert.ok(nodeTests.coverage_reduced);
+  assert.ok(nodeTests.changes.some(change => change.test === "testsEnabled" && change.change === "disabled"));
+  assert.ok(report.policy.reasons.some(reason => reason.startsWith("Tests removed or disabled on TEST_CU")));
+});
+
+// Fixtures where FCT_TEST_CU fills a whole field page, so the action asks for a second one
+const createPagedFixtures = (t, secondPage) => {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-paged-"));
+  t.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+  fs.cpSync(path.join(__dirname, "fixtures", "dqlabs"), fixturesDir, { recursive: true });
+
+  const firstPageFile = path.join(fixturesDir, "impact-analysis", "task-test-cu.column.direct.offset-0.json");
+  const firstPage = JSON.parse(fs.readFileSync(firstPageFile, "utf8"));
+  const fact = firstPage.response.data.tables.find(table => table.name === "FCT_TEST_CU");
+  while (fact.fields.length < 200) fact.fields.push({ id: `field-fct-filler-${fact.fields.length}`, name: `FILLER_${fact.fields.length}`, data_type: "VARCHAR" });
+  fs.writeFileSync(firstPageFile, JSON.stringify(firstPage));
+  fs.writeFileSync(path.join(fixturesDir, "impact-analysis", "task-test-cu.column.direct.offset-200.json"), JSON.stringify(secondPage(fact)));
+
+  return fixturesDir;
+};
+
+const runPaged = async (t, secondPage) => {
+  const pagedMock = await startMockServer({ fixturesDir: createPagedFixtures(t, secondPage) });
+  t.after(() => pagedMock.close());
+  const repo = createProjectRepo(t, dir => {
+    editFile(dir, "nodes/SRC-TEST_CU.yml", "dataType: NUMBER", "dataType: VARCHAR");
+    return ["nodes/SRC-TEST_CU.yml"];
+  });
+
+  const result = await runAction(repo, {
+    api_client_id: "e2e-client",
+    api_client_secret: "e2e-secret",
+    dqlabs_base_url: `http://127.0.0.1:${pagedMock.port}`,
+    lineage_source: "api"
+  });
+  assert.strictEqual(result.status, 0, `action exited with ${result.status}\n${result.stdout}\n${result.stderr}`);
+  const report = JSON.parse(fs.readFileSync(result.outputs.impact_json_path, "utf8"));
+  return {
+    report,
+    requests: pagedMock.requests,
+    directColumns: report.column_impacts.direct.map(column => `${column.table_name}.${column.column_name}`).sort()
+  };
+};
+
+test("column impacts merge every field page of a table", async (t) => {
+  const { report, requests, directColumns } = await runPaged(t, fact => ({
+    response: {
+      data: {
+        tables: [{ ...fact, fields: [{ id: "field-fct-customer-key", name: "CUSTOMER_KEY", data_type: "NUMBER", upstream_field_ids: ["field-test-cu-customer-id"] }] }]
+      }
+    }
+  }));
+
+  assert.ok(requests.some(request => request.fixture === path.join("impact-analysis", "task-test-cu.column.direct.offset-200.json")));
+  assert.deepStrictEqual(directColumns, ["CUSTOMER_DASHBOARD.CUSTOMER_ID", "FCT_TEST_CU.CUSTOMER_ID", "FCT_TEST_CU.CUSTOMER_KEY"]);
+  assert.strictEqual(report.metadata.analysis_complete, true);
+});
+
+test("a failed field page keeps the column impacts of earlier pages", async (t) => {
+  const { report, directColumns } = await runPaged(t, () => ({ mock_status: 400, message: "field_offset out of range" }));
+
+  assert.deepStrictEqual(directColumns, ["CUSTOMER_DASHBOARD.CUSTOMER_ID", "FCT_TEST_CU.CUSTOMER_ID"]);
+  assert.strictEqual(report.metadata.analysis_complete, false);
+  assert.deepStrictEqual(report.metadata.failed_requests.map(failure => [failure.label, failure.status]), [["direct column impact for task-test-cu (field page 2)", 400]]);
+});
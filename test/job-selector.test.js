@@ -0,0 +1,38 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseSelector, selectJobNodes, analyzeJobs } = require("../job-selector");
+
+const nodes = [
+  { id: "n1", name: "CUSTOMERS", locationName: "SRC", tags: [] },
+  { id: "n2", name: "CUSTOMER_ORDERS", locationName: "STG", tags: ["daily"] },
+  { id: "n3", name: "FCT_ORDERS", locationName: "MART", tags: ["daily"] }
+];
+const subgraphs = [{ id: "s1", name: "Orders", steps: ["n2", "n3"] }];
+
+test("braces are alternatives and the terms inside one pair must all match", () => {
+  assert.deepStrictEqual(parseSelector("{ subgraph: Orders } OR { location: SRC name: 'CUSTOMER*' }"), [
+    [{ key: "subgraph", value: "Orders" }],
+    [{ key: "location", value: "SRC" }, { key: "name", value: "CUSTOMER*" }]
+  ]);
+
+  const names = (job) => selectJobNodes(job, nodes, subgraphs).map(node => node.name);
+  assert.deepStrictEqual(names({ includeSelector: "{ location: SRC name: CUSTOMER* } OR { tag: daily location: MART }" }), ["CUSTOMERS", "FCT_ORDERS"]);
+  assert.deepStrictEqual(names({ includeSelector: "", excludeSelector: "{ subgraph: orders }" }), ["CUSTOMERS"]);
+});
+
+test("jobs and subgraphs are reported when they run changed or downstream nodes", () => {
+  const jobs = [
+    { id: 1, name: "SOURCES", includeSelector: "{ location: SRC }" },
+    { id: 2, name: "MARTS", includeSelector: "{ location: MART }" },
+    { id: 3, name: "UNRELATED", includeSelector: "{ name: NOTHING }" }
+  ];
+
+  const result = analyzeJobs({ jobs, subgraphs, nodes, changedNodeIds: ["n1"], downstreamNodeIds: ["n1", "n3"] });
+
+  assert.deepStrictEqual(result.jobs.map(({ job, changedNodes, downstreamNodes, subgraphs: names }) =>
+    [job.name, changedNodes.map(node => node.name), downstreamNodes.map(node => node.name), names]), [
+    ["SOURCES", ["CUSTOMERS"], [], []],
+    ["MARTS", [], ["FCT_ORDERS"], ["Orders"]]
+  ]);
+  assert.deepStrictEqual(result.subgraphs.map(entry => entry.subgraph.name), ["Orders"]);
+});
@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildLineageDiagram } = require("../lineage-diagram");
+
+test("assets beyond maxNodes collapse into one node per depth and asset group", () => {
+  const direct = [
+    { name: "A", asset_group: "data", depth: 1 },
+    { name: "B", asset_group: "report", depth: 1 },
+    { name: "C", asset_group: "report", depth: 1 }
+  ];
+  const indirect = [
+    { name: "D", asset_group: "pipeline", depth: 2 },
+    { name: "E", asset_group: "pipeline", depth: 3 },
+    { name: "UP", asset_group: "data", depth: 1, flow: "upstream" }
+  ];
+
+  const { mermaid, collapsedCount } = buildLineageDiagram({ name: 'SRC "X"', direct, indirect, columns: [], maxNodes: 2 });
+
+  assert.strictEqual(collapsedCount, 3);
+  assert.match(mermaid, /n0\["SRC #34;X#34;"\]:::changed/);
+  assert.match(mermaid, /\["\+1 more report asset"\]:::collapsed/);
+  assert.match(mermaid, /subgraph d2\["Depth 2"\]\n {4}n\d+\["\+1 more pipeline asset"\]:::collapsed/);
+  assert.match(mermaid, /d2 -\.-> d3/);
+  assert.doesNotMatch(mermaid, /UP/);
+});
+
+test("edges carry the changed columns that reach each consumer", () => {
+  const { mermaid } = buildLineageDiagram({
+    name: "TEST_CU",
+    direct: [{ name: "FCT", asset_group: "data", depth: 1 }],
+    indirect: [],
+    columns: [
+      { table_name: "FCT", changed_column: "ID" },
+      { table_name: "fct", changed_column: "NAME" }
+    ]
+  });
+
+  assert.match(mermaid, /n0 -->\|"ID, NAME"\| n1/);
+});
@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { parseNodeYAML } = require("../coalesce-parser");
+const { loadProjectNodes, buildLineageGraph, getDownstreamNodes, getLocalImpacts } = require("../lineage-graph");
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+const readNode = (file) => parseNodeYAML(fs.readFileSync(path.join(REPO_ROOT, file), "utf8"), file);
+
+// Minimal parsed node: columns are [name, counter, upstream counters]
+const node = (id, columns = [], dependencies = []) => ({
+  id,
+  name: id.toUpperCase(),
+  locationName: "SRC",
+  file: `nodes/SRC-${id.toUpperCase()}.yml`,
+  dependencies: dependencies.map(nodeName => ({ locationName: "SRC", nodeName })),
+  columns: columns.map(([name, columnCounter, sources = []]) => ({ name, columnCounter, sourceColumns: sources.map(counter => ({ columnCounter: counter })) }))
+});
+
+test("sourceMapping dependencies and column references link a node to its consumers", () => {
+  const graph = buildLineageGraph([readNode("nodes/SRC-TEST_CU.yml"), readNode("nodes/SRC-FCT_TEST_CU.yml")]);
+  const testCu = graph.nodesById.get(graph.nodeIdsByKey.get("SRC.TEST_CU"));
+
+  const impacts = getLocalImpacts(graph, { baseNode: testCu, headNode: testCu }, ["CUSTOMER_ID"]);
+
+  assert.deepStrictEqual(impacts.direct.map(item => [item.name, item.depth, item.source]), [["FCT_TEST_CU", 1, "local"]]);
+  assert.deepStrictEqual(impacts.directColumns.map(item => [item.table_name, item.column_name, item.changed_column]), [["FCT_TEST_CU", "CUSTOMER_ID", "CUSTOMER_ID"]]);
+  assert.deepStrictEqual([impacts.indirect, impacts.indirectColumns], [[], []]);
+});
+
+test("impacts one hop away are direct and further hops are indirect at their shortest depth", () => {
+  const graph = buildLineageGraph([
+    node("a", [["ID", "a1"]]),
+    node("b", [["ID", "b1", ["a1"]]], ["A"]),
+    node("c", [["ID", "c1", ["b1"]]], ["B"]),
+    node("d", [["ID", "d1", ["c1", "a1"]]], ["C"])
+  ]);
+
+  const impacts = getLocalImpacts(graph, { baseNode: null, headNode: graph.nodesById.get("a") }, ["ID"]);
+
+  assert.deepStrictEqual(impacts.direct.map(item => item.name), ["B"]);
+  assert.deepStrictEqual(impacts.indirect.map(item => [item.name, item.depth]), [["C", 2], ["D", 3]]);
+  assert.deepStrictEqual(impacts.directColumns.map(item => item.table_name), ["B", "D"]);
+  assert.deepStrictEqual(impacts.indirectColumns.map(item => [item.table_name, item.depth]), [["C", 2]]);
+});
+
+test("cycles end the walk instead of looping back to the changed node", () => {
+  const graph = buildLineageGraph([node("a", [], ["C"]), node("b", [], ["A"]), node("c", [], ["B"])]);
+
+  const downstream = getDownstreamNodes(graph, graph.nodesById.get("a"));
+
+  assert.deepStrictEqual(downstream.map(item => [item.node.name, item.depth]), [["B", 1], ["C", 2]]);
+  assert.deepStrictEqual(getDownstreamNodes(graph, graph.nodesById.get("a"), 1).map(item => item.node.name), ["B"]);
+});
+
+test("project nodes are read at the head commit, not from the working tree", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-lineage-"));
+  const workspace = process.env.GITHUB_WORKSPACE;
+  t.after(() => {
+    if (workspace === undefined) delete process.env.GITHUB_WORKSPACE;
+    else process.env.GITHUB_WORKSPACE = workspace;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  fs.mkdirSync(path.join(dir, "nodes", "archive"), { recursive: true });
+  ["nodes/SRC-TEST_CU.yml", "nodes/SRC-FCT_TEST_CU.yml"].forEach(file => fs.copyFileSync(path.join(REPO_ROOT, file), path.join(dir, file)));
+  fs.copyFileSync(path.join(REPO_ROOT, "nodes/SRC-TEST_QA.yml"), path.join(dir, "nodes/archive/SRC-TEST_QA.yml"));
+  execFileSync("git", ["init", "-q"], { cwd: dir });
+  execFileSync("git", ["add", "-A"], { cwd: dir });
+  execFileSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", "commit", "-q", "-m", "head"], { cwd: dir });
+  const headSha = execFileSync("git", ["rev-parse", "HEAD"], { cwd: dir, encoding: "utf8" }).trim();
+  fs.rmSync(path.join(dir, "nodes", "SRC-FCT_TEST_CU.yml"));
+  process.env.GITHUB_WORKSPACE = dir;
+
+  assert.deepStrictEqual((await loadProjectNodes(headSha)).map(item => item.name).sort(), ["FCT_TEST_CU", "TEST_CU"]);
+  assert.deepStrictEqual((await loadProjectNodes()).map(item => item.name), ["TEST_CU"]);
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// Local stand-in for the DQLabs API. Serves /api/pipeline/task/, /api/lineage/impact-analysis/ and
+// /api/asset/quality/ from fixture files, or records them from a real instance with secrets redacted.
+//
+//   node test/mock-dqlabs-server.js --fixtures test/fixtures/dqlabs --port 4555
+//   DQLABS_API_CLIENT_ID=... DQLABS_API_CLIENT_SECRET=... \
+//     node test/mock-dqlabs-server.js --fixtures test/fixtures/recorded --record https://your-instance.dqlabs.ai
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const axios = require("axios");
+
+const TASK_ROUTE = "/api/pipeline/task/";
+const IMPACT_ROUTE = "/api/lineage/impact-analysis/";
+const QUALITY_ROUTE = "/api/asset/quality/";
+const SECRET_KEY_PATTERN = /secret|token|password|passwd|api[_-]?key|client[_-]?id|authorization|cookie/i;
+const REDACTED = "[REDACTED]";
+
+const EMPTY_RESPONSES = {
+  [TASK_ROUTE]: { response: { data: [] } },
+  [IMPACT_ROUTE]: { response: { data: { tables: [] } } },
+  [QUALITY_ROUTE]: { response: { data: {} } }
+};
+
+// One fixture file per distinct request:
+//   pipeline-task/page-<page>.json
+//   impact-analysis/<entity>.<table|column>.<direct|indirect>[.offset-<field_offset>].json
+//   asset-quality/<asset_id>.json
+// A fixture with a top-level mock_status is served with that HTTP status, to replay failed requests.
+const fixtureName = (route, payload) => {
+  if (route === TASK_ROUTE) return path.join("pipeline-task", `page-${payload.page || 0}.json`);
+  if (route === QUALITY_ROUTE) return path.join("asset-quality", `${String(payload.asset_id || "unknown").replace(/[^A-Za-z0-9_.-]+/g, "_")}.json`);
+
+  const viewBy = payload.moreOptions?.view_by || "table";
+  const impact = payload.moreOptions?.depth ? "indirect" : "direct";
+  const offset = viewBy === "column" ? `.offset-${payload.field_offset || 0}` : "";
+  const entity = String(payload.entity || "unknown").replace(/[^A-Za-z0-9_.-]+/g, "_");
+  return path.join("impact-analysis", `${entity}.${viewBy}.${impact}${offset}.json`);
+};
+
+// Drop secret-looking keys and any literal occurrence of the credentials or the upstream origin
+const redact = (value, secrets, upstream) => {
+  if (Array.isArray(value)) return value.map(item => redact(item, secrets, upstream));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, SECRET_KEY_PATTERN.test(key) && item !== null && typeof item !== "object" ? REDACTED : redact(item, secrets, upstream)]));
+  }
+  if (typeof value === "string") {
+    let text = value;
+    secrets.filter(Boolean).forEach(secret => {
+      text = text.split(secret).join(REDACTED);
+    });
+    return upstream ? text.split(upstream).join("https://dqlabs.example") : text;
+  }
+  return value;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = "";
+  req.on("data", chunk => {
+    body += chunk;
+  });
+  req.on("end", () => resolve(body));
+  req.on("error", reject);
+});
+
+// Start the server; resolves with { server, port, requests, close() }
+const startMockServer = ({ fixturesDir, port = 0, record = null, clientId = "", clientSecret = "", log = () => {} }) => new Promise((resolve, reject) => {
+  const requests = [];
+  const upstream = record ? record.replace(/\/+$/, "") : null;
+
+  const server = http.createServer(async (req, res) => {
+    const route = req.url.split("?")[0];
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== "POST" || !EMPTY_RESPONSES[route]) {
+      send(404, { message: `No mock for ${req.method} ${route}` });
+      return;
+    }
+
+    try {
+      const payload = JSON.parse((await readBody(req)) || "{}");
+      const file = path.join(fixturesDir, fixtureName(route, payload));
+      requests.push({ route, payload, fixture: path.relative(fixturesDir, file) });
+
+      if (upstream) {
+        const response = await axios.post(`${upstream}${route}`, payload, {
+          headers: { "Content-Type": "application/json", "client-id": clientId, "client-secret": clientSecret },
+          validateStatus: () => true
+        });
+        const body = redact(response.data, [clientId, clientSecret], upstream);
+        if (response.status < 400) {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, `${JSON.stringify(body, null, 2)}\n`);
+          log(`recorded ${path.relative(fixturesDir, file)}`);
+        }
+        send(response.status, body);
+        return;
+      }
+
+      if (fs.existsSync(file)) {
+        const body = JSON.parse(fs.readFileSync(file, "utf8"));
+        send(body.mock_status || 200, body);
+      } else {
+        log(`no fixture ${path.relative(fixturesDir, file)}; returning an empty response`);
+        send(200, EMPTY_RESPONSES[route]);
+      }
+    } catch (error) {
+      send(500, { message: error.message });
+    }
+  });
+
+  server.on("error", reject);
+  server.listen(port, "127.0.0.1", () => {
+    resolve({
+      server,
+      port: server.address().port,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && index + 1 < args.length ? args[index + 1] : fallback;
+  };
+
+  startMockServer({
+    fixturesDir: path.resolve(option("fixtures", path.join(__dirname, "fixtures", "dqlabs"))),
+    port: Number(option("port", 4555)),
+    record: option("record", null),
+    clientId: process.env.DQLABS_API_CLIENT_ID || "",
+    clientSecret: process.env.DQLABS_API_CLIENT_SECRET || "",
+    log: message => process.stderr.write(`[mock-dqlabs] ${message}\n`)
+  }).then(({ port }) => {
+    process.stderr.write(`[mock-dqlabs] listening on http://127.0.0.1:${port}\n`);
+  }).catch(error => {
+    process.stderr.write(`[mock-dqlabs] ${error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  fixtureName,
+  redact,
+  startMockServer
+};
@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { fixtureName, redact, startMockServer } = require("./mock-dqlabs-server");
+
+test("fixture names follow the request", () => {
+  assert.strictEqual(fixtureName("/api/pipeline/task/", { page: 2 }), path.join("pipeline-task", "page-2.json"));
+  assert.strictEqual(
+    fixtureName("/api/lineage/impact-analysis/", { entity: "task-1", moreOptions: { view_by: "table" } }),
+    path.join("impact-analysis", "task-1.table.direct.json")
+  );
+  assert.strictEqual(
+    fixtureName("/api/lineage/impact-analysis/", { entity: "task-1", field_offset: 200, moreOptions: { view_by: "column", depth: 10 } }),
+    path.join("impact-analysis", "task-1.column.indirect.offset-200.json")
+  );
+  assert.strictEqual(fixtureName("/api/asset/quality/", { asset_id: "table/1" }), path.join("asset-quality", "table_1.json"));
+});
+
+test("redact removes secret keys, credentials and the upstream origin", () => {
+  const redacted = redact({
+    token: "abc",
+    nested: [{ client_secret: "s3cr3t", note: "called with s3cr3t", url: "https://acme.dqlabs.ai/asset/1" }],
+    count: 3
+  }, ["s3cr3t"], "https://acme.dqlabs.ai");
+
+  assert.deepStrictEqual(redacted, {
+    token: "[REDACTED]",
+    nested: [{ client_secret: "[REDACTED]", note: "called with [REDACTED]", url: "https://dqlabs.example/asset/1" }],
+    count: 3
+  });
+});
+
+test("serves fixtures and falls back to empty responses", async () => {
+  const mock = await startMockServer({ fixturesDir: path.join(__dirname, "fixtures", "dqlabs") });
+  try {
+    const base = `http://127.0.0.1:${mock.port}`;
+    const tasks = await axios.post(`${base}/api/pipeline/task/`, { page: 0 });
+    assert.ok(tasks.data.response.data.some(task => task.name === "TEST_CU"));
+
+    const missing = await axios.post(`${base}/api/lineage/impact-analysis/`, { entity: "unknown", moreOptions: { view_by: "table" } });
+    assert.deepStrictEqual(missing.data, { response: { data: { tables: [] } } });
+  } finally {
+    await mock.close();
+  }
+});
+
+test("records upstream responses with secrets redacted", async () => {
+  const upstreamDir = fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-upstream-"));
+  const recordDir = fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-record-"));
+  fs.mkdirSync(path.join(upstreamDir, "pipeline-task"));
+  fs.writeFileSync(path.join(upstreamDir, "pipeline-task", "page-0.json"), JSON.stringify({
+    response: { data: [{ name: "TEST_CU", api_key: "k-123", description: "owned by client-abc" }] }
+  }));
+
+  const upstream = await startMockServer({ fixturesDir: upstreamDir });
+  const recorder = await startMockServer({
+    fixturesDir: recordDir,
+    record: `http://127.0.0.1:${upstream.port}`,
+    clientId: "client-abc",
+    clientSecret: "secret-xyz"
+  });
+  try {
+    await axios.post(`http://127.0.0.1:${recorder.port}/api/pipeline/task/`, { page: 0 });
+    const recorded = JSON.parse(fs.readFileSync(path.join(recordDir, "pipeline-task", "page-0.json"), "utf8"));
+    assert.deepStrictEqual(recorded.response.data[0], { name: "TEST_CU", api_key: "[REDACTED]", description: "owned by [REDACTED]" });
+  } finally {
+    await recorder.close();
+    await upstream.close();
+    fs.rmSync(upstreamDir, { recursive: true, force: true });
+    fs.rmSync(recordDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadOwnershipRules, collectImpactedOwners, splitReviewers } = require("../owners");
+
+const OWNERS_FILE = `
+rules:
+  - asset: "FCT_*"
+    owners: [data-team]
+  - tag: production_ready
+    location: SRC
+    owners: ["@acme/platform"]
+  - asset_group: report
+    owners: ["@bi-lead"]
+  - asset: "NO_OWNERS"
+    owners: []
+users:
+  Jane.Doe@acme.com: jdoe
+`;
+
+test("rules match on every criterion they set and owners embedded in DQLabs data map to handles", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dqlabs-owners-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "owners.yml"), OWNERS_FILE);
+
+  const ownership = loadOwnershipRules("owners.yml", dir);
+  assert.deepStrictEqual(ownership.rules.map(rule => rule.owners), [["@data-team"], ["@acme/platform"], ["@bi-lead"]]);
+
+  const nodes = {
+    FCT_TEST_CU: { name: "FCT_TEST_CU", tags: ["production_ready"], locationName: "SRC" },
+    STG_ORDERS: { name: "STG_ORDERS", tags: ["production_ready"], locationName: "STG" }
+  };
+  const fileImpacts = {
+    "nodes/SRC-TEST_CU.yml": {
+      direct: [{ name: "FCT_TEST_CU", asset_group: "data" }, { name: "CUSTOMER_DASHBOARD", asset_group: "report", owners: [{ email: "jane.doe@acme.com" }] }],
+      indirect: [{ name: "STG_ORDERS", asset_group: "data" }, { name: "FCT_TEST_CU", asset_group: "data" }]
+    }
+  };
+
+  const owners = collectImpactedOwners(fileImpacts, ownership, { getNode: item => nodes[item.name], useEmbeddedOwners: true });
+
+  assert.deepStrictEqual(owners, [
+    { owner: "@acme/platform", direct: ["FCT_TEST_CU"], indirect: [] },
+    { owner: "@bi-lead", direct: ["CUSTOMER_DASHBOARD"], indirect: [] },
+    { owner: "@data-team", direct: ["FCT_TEST_CU"], indirect: [] },
+    { owner: "@jdoe", direct: ["CUSTOMER_DASHBOARD"], indirect: [] }
+  ]);
+  assert.strictEqual(collectImpactedOwners(fileImpacts, ownership, { getNode: item => nodes[item.name] }).some(entry => entry.owner === "@jdoe"), false);
+});
+
+test("team handles become team reviewers and the PR author is never asked to review", () => {
+  assert.deepStrictEqual(splitReviewers(["@acme/platform", "@jdoe", "@Author", "@jdoe", "jane@acme.com"], "author"), {
+    reviewers: ["jdoe"],
+    team_reviewers: ["platform"]
+  });
+});
@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parsePolicyConfig, evaluatePolicy } = require("../policy");
+
+const file = "nodes/SRC-TEST_CU.yml";
+const changedColumns = {
+  added: [{ column: "EMAIL", file, node: "TEST_CU" }],
+  removed: [{ column: "LEGACY_ID", file, node: "TEST_CU" }],
+  renamed: [{ column: "FIRST_NAME", newName: "GIVEN_NAME", file, node: "TEST_CU" }],
+  modified: [
+    { column: "CUSTOMER_ID", file, node: "TEST_CU", changes: [{ attribute: "dataType", before: "NUMBER", after: "VARCHAR" }] },
+    { column: "STATUS", file, node: "TEST_CU", changes: [{ attribute: "description", before: "", after: "Order status" }] }
+  ]
+};
+const consumer = (column) => ({ table_name: "FCT_TEST_CU", column_name: column, changed_column: column });
+const columnImpacts = { [file]: { direct: [consumer("CUSTOMER_ID"), consumer("FIRST_NAME"), consumer("STATUS")], indirect: [] } };
+const fileImpacts = {
+  [file]: {
+    direct: [{ name: "FCT_TEST_CU", asset_group: "data" }, { name: "CUSTOMER_DASHBOARD", asset_group: "report" }],
+    indirect: [{ name: "AGG_TEST_CU", asset_group: "data" }]
+  }
+};
+
+test("only removed, renamed and retyped columns with direct consumers are breaking", () => {
+  const policy = evaluatePolicy({ changedColumns, fileImpacts, columnImpacts }, parsePolicyConfig({ policy_mode: "enforce" }));
+
+  assert.deepStrictEqual(policy.breakingChanges.map(col => `${col.column}: ${col.reason}`), [
+    "FIRST_NAME: renamed to GIVEN_NAME",
+    "CUSTOMER_ID: data type NUMBER → VARCHAR"
+  ]);
+  assert.strictEqual(policy.result, "fail");
+  assert.deepStrictEqual(policy.totals, { direct_assets: 2, indirect_assets: 1, report_assets: 1 });
+  assert.ok(policy.reasons.includes("Report assets are impacted: CUSTOMER_DASHBOARD"));
+});
+
+test("the mode decides the result and each rule can be switched off", () => {
+  const inputs = { fail_on_breaking_changes: "false", fail_on_report_impact: "no", max_direct_assets: "1" };
+  const evaluate = (mode) => evaluatePolicy({ changedColumns, fileImpacts, columnImpacts }, parsePolicyConfig({ ...inputs, policy_mode: mode }));
+
+  assert.deepStrictEqual(evaluate("warn").reasons, ["2 directly impacted assets exceed the limit of 1"]);
+  assert.strictEqual(evaluate("warn").result, "warn");
+  assert.strictEqual(evaluate("off").result, "skipped");
+  assert.strictEqual(evaluate("unknown").mode, "off");
+  assert.strictEqual(
+    evaluatePolicy({ changedColumns, fileImpacts, columnImpacts }, parsePolicyConfig({ ...inputs, policy_mode: "enforce", max_direct_assets: "2" })).result,
+    "pass"
+  );
+});
@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { OUTPUT_SCHEMA_VERSIONS, buildSarif, buildJUnit, buildAssetsCsv, buildColumnsCsv } = require("../report-formats");
+
+const breakingChange = {
+  file_path: "nodes/SRC-TEST_CU.yml",
+  model_name: "TEST_CU",
+  column_name: "CUSTOMER_ID",
+  reason: "data type changed from NUMBER to VARCHAR",
+  direct_consumers: ["FCT_TEST_CU", "CUSTOMER_DASHBOARD"],
+  line: 42
+};
+
+const report = (breakingChanges = [breakingChange]) => ({
+  metadata: { timestamp: "2026-01-01T00:00:00.000Z", commit_sha: "abc123" },
+  policy: { result: "warn", breaking_changes: breakingChanges },
+  asset_impacts: {
+    direct: [{
+      file_path: "nodes/SRC-TEST_CU.yml",
+      model_name: "CUSTOMER_DASHBOARD",
+      task_name: "TEST_CU",
+      lineage_source: "dqlabs",
+      fully_qualified_names: [{ name: "DB.SCHEMA.A" }, { name: "DB.SCHEMA.B" }],
+      redirect_url: "https://dqlabs.example/report?a=1,b=2",
+      unhealthy: true
+    }],
+    indirect: []
+  },
+  column_impacts: {
+    direct: [],
+    indirect: [{
+      file_path: "nodes/SRC-TEST_CU.yml",
+      table_name: "REVENUE \"Q1\"",
+      column_name: "NOTE",
+      data_type: "VARCHAR",
+      task_name: "line one\nline two",
+      lineage_source: "dqlabs",
+      redirect_url: "",
+      match_type: "dqlabs_lineage"
+    }]
+  }
+});
+
+test("SARIF has one error per breaking change at the line that declares the column", () => {
+  const sarif = buildSarif(report());
+  const [run] = sarif.runs;
+
+  assert.strictEqual(sarif.version, "2.1.0");
+  assert.deepStrictEqual(run.properties, { schema_version: OUTPUT_SCHEMA_VERSIONS.sarif, policy_result: "warn" });
+  assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ["dqlabs/breaking-change"]);
+  assert.strictEqual(run.results.length, 1);
+  assert.deepStrictEqual(
+    [run.results[0].ruleId, run.results[0].level, run.results[0].locations[0].physicalLocation],
+    ["dqlabs/breaking-change", "error", { artifactLocation: { uri: "nodes/SRC-TEST_CU.yml" }, region: { startLine: 42 } }]
+  );
+  assert.ok(run.results[0].message.text.startsWith("Column TEST_CU.CUSTOMER_ID data type changed"));
+});
+
+test("JUnit counts breaking changes as failures and passes a single case without them", () => {
+  const failing = buildJUnit(report([breakingChange, { ...breakingChange, column_name: "A&B <x>", line: null }]));
+
+  assert.ok(failing.includes(`<testsuites name="DQLabs Impact Analysis" tests="2" failures="2">`));
+  assert.ok(failing.includes(`<property name="schema_version" value="${OUTPUT_SCHEMA_VERSIONS.junit}"/>`));
+  assert.strictEqual((failing.match(/<failure /g) || []).length, 2);
+  assert.ok(failing.includes("TEST_CU.A&amp;B &lt;x&gt;"));
+  assert.ok(failing.includes("nodes/SRC-TEST_CU.yml:1\n"));
+
+  const passing = buildJUnit(report([]));
+  assert.ok(passing.includes(`tests="1" failures="0"`));
+  assert.ok(passing.includes(`<testcase classname="dqlabs-impact-analysis" name="No breaking column changes"/>`));
+});
+
+test("CSV rows start with the schema version and quote commas, quotes and newlines", () => {
+  const [assetHeader, assetRow] = buildAssetsCsv(report()).trimEnd().split("\n");
+  assert.ok(assetHeader.startsWith("schema_version,impact,file_path,"));
+  assert.strictEqual(
+    assetRow,
+    `${OUTPUT_SCHEMA_VERSIONS.csv},direct,nodes/SRC-TEST_CU.yml,CUSTOMER_DASHBOARD,TEST_CU,dqlabs,DB.SCHEMA.A;DB.SCHEMA.B,"https://dqlabs.example/report?a=1,b=2",,,,true`
+  );
+
+  const columns = buildColumnsCsv(report());
+  assert.strictEqual(OUTPUT_SCHEMA_VERSIONS.csv, "1.2");
+  assert.strictEqual(columns.split("\n")[0], "schema_version,impact,file_path,table_name,column_name,data_type,task_name,lineage_source,redirect_url,match_type");
+  assert.ok(columns.includes(`,"REVENUE ""Q1""",NOTE,VARCHAR,"line one\nline two",dqlabs,,dqlabs_lineage\n`));
+  assert.strictEqual(buildColumnsCsv({ column_impacts: {} }).split("\n").length, 2, "header only when nothing is impacted");
+});
@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { DEFAULT_RISK_WEIGHTS, parseRiskWeights, computeRiskScore } = require("../risk-score");
+
+const node = { name: "ORDERS", materializationType: "view", tags: ["production_ready"] };
+
+test("removed columns reaching reports outweigh added columns reaching data assets", () => {
+  const removed = computeRiskScore({
+    changedColumns: { removed: [{ column: "ID", file: "nodes/ORDERS.yml", node: "ORDERS" }] },
+    fileImpacts: { "nodes/ORDERS.yml": { taskName: "ORDERS", direct: [{ asset_group: "report" }], indirect: [{ asset_group: "pipeline", depth: 3 }] } },
+    nodeChanges: [{ file: "nodes/ORDERS.yml", node }]
+  });
+  const added = computeRiskScore({
+    changedColumns: { added: [{ column: "ID", file: "nodes/ORDERS.yml", node: "ORDERS" }] },
+    fileImpacts: { "nodes/ORDERS.yml": { taskName: "ORDERS", direct: [{ asset_group: "data" }], indirect: [] } },
+    nodeChanges: [{ file: "nodes/ORDERS.yml", node: { ...node, tags: [] } }]
+  });
+
+  // (10 removed + 3 report + 2 * 0.5^2 pipeline) * 2 production_ready
+  assert.strictEqual(removed.score, 27);
+  assert.strictEqual(removed.level, "medium");
+  assert.deepStrictEqual(removed.nodes[0].factors.map(factor => factor.type), ["change", "consumer", "consumer", "tag"]);
+  assert.strictEqual(added.score, 2);
+  assert.strictEqual(added.level, "low");
+});
+
+test("risk_weights overrides single weights and keeps the other defaults", () => {
+  const weights = parseRiskWeights("change:\n  added: 50\ntags:\n  pii: 3\nlevels:\n  critical: 100\n");
+
+  assert.strictEqual(weights.change.added, 50);
+  assert.strictEqual(weights.change.removed, DEFAULT_RISK_WEIGHTS.change.removed);
+  assert.deepStrictEqual(weights.tags, { production_ready: 2, pii: 3 });
+  assert.deepStrictEqual(weights.levels, { medium: 10, high: 30, critical: 100 });
+  assert.strictEqual(parseRiskWeights("change: [").change.added, DEFAULT_RISK_WEIGHTS.change.added);
+});
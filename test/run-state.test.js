@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { buildRunState, encodeRunState, decodeRunState, diffRunStates } = require("../run-state");
+
+const report = (direct, indirect, columns = []) => ({
+  asset_impacts: {
+    direct: direct.map(model_name => ({ model_name })),
+    indirect: indirect.map(model_name => ({ model_name }))
+  },
+  column_impacts: { direct: columns.map(column => ({ table_name: "FCT_TEST_CU", column_name: column })), indirect: [] }
+});
+
+test("the stored state survives a round trip through the comment marker", () => {
+  const state = buildRunState(report(["FCT_TEST_CU", "CUSTOMER_DASHBOARD", "FCT_TEST_CU"], ["AGG"], ["CUSTOMER_ID"]), "abc1234");
+  const body = `## Impact Analysis Report\n\n${encodeRunState(state)}\n`;
+
+  assert.deepStrictEqual(state.assets, { direct: ["CUSTOMER_DASHBOARD", "FCT_TEST_CU"], indirect: ["AGG"] });
+  assert.deepStrictEqual(decodeRunState(body), state);
+  assert.strictEqual(decodeRunState("no marker here"), null);
+  assert.strictEqual(decodeRunState(encodeRunState({ ...state, version: 0 })), null);
+});
+
+test("states too large for the comment drop columns first", () => {
+  // Random column names do not compress, so they push the state over the limit
+  const columns = Array.from({ length: 4000 }, () => crypto.randomBytes(8).toString("hex"));
+  const decoded = decodeRunState(encodeRunState(buildRunState(report(["FCT_TEST_CU"], [], columns), "abc1234")));
+
+  assert.strictEqual(decoded.columns, null);
+  assert.deepStrictEqual(decoded.assets.direct, ["FCT_TEST_CU"]);
+});
+
+test("the diff lists newly and no longer impacted names with their level", () => {
+  const previous = buildRunState(report(["FCT_TEST_CU", "OLD_REPORT"], ["AGG"], ["CUSTOMER_ID"]), "aaa");
+  const current = buildRunState(report(["FCT_TEST_CU"], ["AGG", "NEW_VIEW"], ["CUSTOMER_ID", "FIRST_NAME"]), "bbb");
+
+  assert.deepStrictEqual(diffRunStates(previous, current), {
+    previous_sha: "aaa",
+    current_sha: "bbb",
+    assets: { added: [{ name: "NEW_VIEW", impact: "indirect" }], removed: [{ name: "OLD_REPORT", impact: "direct" }] },
+    columns: { added: [{ name: "FCT_TEST_CU.FIRST_NAME", impact: "direct" }], removed: [] }
+  });
+  assert.strictEqual(diffRunStates({ ...previous, columns: null }, current).columns, null);
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseSQLModel, diffSQLColumns } = require("../sql-parser");
+
+const names = (columns) => columns.map(col => col.name);
+
+test("columns come from the final select, with aliases and CTE stars expanded", () => {
+  const model = parseSQLModel(`
+    with orders as (select id, amount from {{ ref('stg_orders') }}),
+    totals as (select * from orders)
+    select o.id as order_id, amount total, upper(status) status_upper
+    from totals o
+  `);
+
+  assert.deepStrictEqual(names(model.columns), ["order_id", "total", "status_upper"]);
+  assert.deepStrictEqual(model.ctes, [{ name: "orders", columns: ["id", "amount"] }, { name: "totals", columns: ["id", "amount"] }]);
+  assert.deepStrictEqual(model.refs, [{ name: "stg_orders", package: null }]);
+  assert.strictEqual(model.hasSelectStar, false);
+});
+
+test("a union takes its columns from the first branch and select * from a relation cannot be expanded", () => {
+  assert.deepStrictEqual(names(parseSQLModel("select id, name from a union all select id, full_name from b").columns), ["id", "name"]);
+
+  const star = parseSQLModel("select * from {{ source('raw', 'orders') }}");
+  assert.deepStrictEqual([star.columns, star.hasSelectStar, star.sources], [[], true, [{ source: "raw", table: "orders" }]]);
+});
+
+test("Jinja comments, statements and config() are dropped and bare refs become relations", () => {
+  const model = parseSQLModel(`{{ config(materialized='table') }}{# note #}{% set x = 1 %}
+    select {{ my_macro('a') }} as c, m.id from {{ ref('pkg', 'm') }} m`);
+
+  assert.deepStrictEqual(names(model.columns), ["c", "id"]);
+  assert.deepStrictEqual(model.refs, [{ name: "m", package: "pkg" }]);
+});
+
+test("a macro wrapping a ref stays opaque instead of becoming a column", () => {
+  const model = parseSQLModel("select {{ dbt_utils.star(ref('x')) }}, b from {{ ref('x') }}");
+
+  assert.deepStrictEqual(names(model.columns), ["b"]);
+  assert.strictEqual(model.hasSelectStar, true);
+  assert.ok(model.refs.every(ref => ref.name === "x"));
+});
+
+test("SQL column diffs report added, removed and re-derived columns", () => {
+  const diff = diffSQLColumns("select id, name, amount from t", "select id, email, amount * 100 as amount from t");
+
+  assert.deepStrictEqual([diff.added, diff.removed], [["email"], ["name"]]);
+  assert.deepStrictEqual(diff.modified.map(col => col.name), ["amount"]);
+});
@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createDbtMatcher, createCoalesceMatcher, matchTasks } = require("../task-matcher");
+
+const matchers = [createDbtMatcher(["dbt"]), createCoalesceMatcher(["coalesce"])];
+const task = (name, extra = {}) => ({ name, task_id: `task-${name.toLowerCase()}`, connection_type: "coalesce", ...extra });
+
+test("Coalesce tasks are narrowed by location and storage", () => {
+  const model = {
+    kind: "coalesce",
+    name: "TEST_CU",
+    file: "nodes/SRC-TEST_CU.yml",
+    locationName: "SRC",
+    storageLocations: [{ database: "ANALYTICS", schema: "RAW" }]
+  };
+  const tasks = [
+    task("TEST_CU", { location_name: "SRC", database: "analytics", schema: '"RAW"' }),
+    task("TEST_CU", { location_name: "STG" }),
+    task("TEST_CU", { database: "OTHER_DB" }),
+    task("TEST_CU", { connection_type: "dbt" })
+  ];
+
+  const matched = matchTasks(tasks, [model], { matchers });
+
+  assert.strictEqual(matched.length, 1);
+  assert.deepStrictEqual([matched[0].entity, matched[0].filePath, matched[0].matchedBy], ["task-test_cu", "nodes/SRC-TEST_CU.yml", "coalesce"]);
+});
+
+test("an override replaces the matchers for its model", () => {
+  const model = { kind: "coalesce", name: "TEST_CU", file: "nodes/SRC-TEST_CU.yml", locationName: "SRC" };
+  const overrides = [{ node: "SRC.TEST_CU", task: "LEGACY_CUSTOMERS" }];
+
+  const matched = matchTasks([task("TEST_CU"), task("LEGACY_CUSTOMERS")], [model], { matchers, overrides });
+
+  assert.deepStrictEqual(matched.map(item => [item.name, item.matchedBy]), [["LEGACY_CUSTOMERS", "override"]]);
+  assert.deepStrictEqual(matchTasks([task("TEST_CU")], [{ ...model, kind: "dbt" }], { matchers }), []);
+});
@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { diffNodeTests } = require("../test-coverage");
+
+const column = (name, counter, appliedTests = [], acceptedValues = []) => ({ name, columnCounter: counter, appliedTests, acceptedValues });
+
+const baseNode = {
+  testsEnabled: true,
+  enabledColumnTestIDs: ["isDistinct", "hasNull"],
+  nodeTests: [{ name: "Row count", templateString: "select 1" }, { name: "Freshness", templateString: "select 2" }],
+  columns: [
+    column("ID", "c1", ["isDistinct", "hasNull"]),
+    column("STATUS", "c2", [], ["open", "closed"]),
+    column("LEGACY", "c3", ["hasNull"])
+  ]
+};
+
+const summarize = (changes) => changes.map(({ column: name, test: testId, change }) => `${change} ${name ? `${name}.` : ""}${testId}`);
+
+test("removed, disabled, modified and added tests are told apart", () => {
+  const headNode = {
+    ...baseNode,
+    enabledColumnTestIDs: ["isDistinct"],
+    nodeTests: [{ name: "Row count", templateString: "select count(*)" }, { name: "Not empty", templateString: "select 3" }],
+    columns: [
+      column("CUSTOMER_ID", "c1", ["isDistinct", "hasNull"]),
+      column("STATUS", "c2", [], ["open", "closed", "archived"]),
+      column("CREATED_AT", "c4", ["hasNull"])
+    ]
+  };
+
+  assert.deepStrictEqual(summarize(diffNodeTests(baseNode, headNode)), [
+    "removed Freshness",
+    "removed LEGACY.hasNull",
+    "disabled CUSTOMER_ID.hasNull",
+    "modified Row count",
+    "modified STATUS.acceptedValues",
+    "added Not empty",
+    "added CREATED_AT.hasNull"
+  ]);
+});
+
+test("turning testsEnabled off is reported once for the node", () => {
+  assert.deepStrictEqual(summarize(diffNodeTests(baseNode, { ...baseNode, testsEnabled: false })), ["disabled testsEnabled"]);
+});
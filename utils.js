@@ -0,0 +1,40 @@
+// Shared helpers used across the action modules
+
+// Safe array processing utility
+const safeArray = (maybeArray) => Array.isArray(maybeArray) ? maybeArray : [];
+
+// Downstream column impacts reached through one changed column entry ({ column, file, model? })
+const getImpactsForChangedColumn = (columnImpacts, changedColumn) => {
+  const impacts = Object.entries(columnImpacts || {})
+    .filter(([filePath, impact]) => filePath === changedColumn.file || (changedColumn.model && impact.taskName === changedColumn.model))
+    .map(([, impact]) => impact);
+  return {
+    direct: impacts.flatMap(impact => safeArray(impact.direct)).filter(item => item.changed_column === changedColumn.column),
+    indirect: impacts.flatMap(impact => safeArray(impact.indirect)).filter(item => item.changed_column === changedColumn.column)
+  };
+};
+
+// 1-based line where a column is declared: a YAML "name: X" entry first, any whole-word mention second
+const findLineNumber = (content, text) => {
+  if (!content || !text) return 1;
+  const escaped = String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const lines = content.split(/\r?\n/);
+  const declaration = new RegExp(`\\bname:\\s*["']?${escaped}["']?\\s*$`, "i");
+  const mention = new RegExp(`\\b${escaped}\\b`, "i");
+  const index = lines.findIndex(line => declaration.test(line));
+  const lineIndex = index >= 0 ? index : lines.findIndex(line => mention.test(line));
+  return lineIndex >= 0 ? lineIndex + 1 : 1;
+};
+
+// Selector and ownership patterns allow * wildcards and compare case-insensitively
+const wildcardMatches = (pattern, value) => {
+  const regex = new RegExp(`^${String(pattern).split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i");
+  return regex.test(String(value || ""));
+};
+
+module.exports = {
+  safeArray,
+  wildcardMatches,
+  getImpactsForChangedColumn,
+  findLineNumber
+};